@@ -0,0 +1,76 @@
+// __tests__/routes/portfolios.test.js
+const express = require('express');
+
+// An in-memory stand-in for the few Firestore calls the duplicate route makes
+// before it writes anything
+const mockDocs = new Map();
+const mockNewDocs = [];
+
+jest.mock('../../config/firebase', () => {
+  const docRef = (id) => ({
+    id,
+    get: async () => ({ id, exists: mockDocs.has(id), data: () => mockDocs.get(id) })
+  });
+  const collection = () => ({
+    doc: (id) => {
+      if (id === undefined) {
+        const ref = docRef(`new-${mockNewDocs.length}`);
+        mockNewDocs.push(ref);
+        return ref;
+      }
+      return docRef(id);
+    }
+  });
+  const firestore = () => ({ collection });
+  return { admin: { firestore } };
+});
+
+const portfolioRoutes = require('../../routes/portfolios');
+
+const request = async (method, path, userId) => {
+  const app = express();
+  app.use(express.json());
+  app.use((req, res, next) => {
+    req.user = { uid: userId };
+    next();
+  });
+  app.use('/api/portfolios', portfolioRoutes);
+
+  const server = app.listen(0);
+  try {
+    const response = await fetch(`http://127.0.0.1:${server.address().port}${path}`, { method });
+    return { status: response.status, body: await response.json() };
+  } finally {
+    server.close();
+  }
+};
+
+beforeEach(() => {
+  mockDocs.clear();
+  mockNewDocs.length = 0;
+});
+
+describe('POST /api/portfolios/:id/duplicate', () => {
+  it('refuses to copy a portfolio an admin took down', async () => {
+    mockDocs.set('p1', {
+      userId: 'owner',
+      status: 'taken_down',
+      draft: { heroSection: { name: 'Jane Doe' } }
+    });
+
+    const { status, body } = await request('POST', '/api/portfolios/p1/duplicate', 'owner');
+
+    expect(status).toBe(403);
+    expect(body.code).toBe('PORTFOLIO_TAKEN_DOWN');
+    expect(mockNewDocs).toHaveLength(0);
+  });
+
+  it('refuses to copy someone else\'s portfolio', async () => {
+    mockDocs.set('p1', { userId: 'owner', status: 'draft' });
+
+    const { status } = await request('POST', '/api/portfolios/p1/duplicate', 'someone-else');
+
+    expect(status).toBe(403);
+    expect(mockNewDocs).toHaveLength(0);
+  });
+});
@@ -1,6 +1,5 @@
 // config/cloudinary.js
 const cloudinary = require('cloudinary').v2;
-const multer = require('multer');
 
 // Configure Cloudinary
 cloudinary.config({
@@ -9,68 +8,4 @@ cloudinary.config({
   api_secret: process.env.CLOUDINARY_API_SECRET
 });
 
-// Configure multer for memory storage (since we're uploading to Cloudinary)
-const storage = multer.memoryStorage();
-
-const upload = multer({
-  storage: storage,
-  limits: {
-    fileSize: 10 * 1024 * 1024 // 10MB limit
-  },
-  fileFilter: (req, file, cb) => {
-    if (file.mimetype.startsWith('image/')) {
-      cb(null, true);
-    } else {
-      cb(new Error('Only image files are allowed'));
-    }
-  }
-});
-
-// Helper function to upload image to Cloudinary
-const uploadToCloudinary = (buffer, options = {}) => {
-  return new Promise((resolve, reject) => {
-    const uploadStream = cloudinary.uploader.upload_stream(
-      {
-        folder: 'portfolio-app',
-        transformation: [
-          { width: 1200, height: 1200, crop: 'limit' },
-          { quality: 'auto' },
-          { fetch_format: 'auto' }
-        ],
-        ...options
-      },
-      (error, result) => {
-        if (error) {
-          reject(error);
-        } else {
-          resolve({
-            url: result.secure_url,
-            publicId: result.public_id,
-            width: result.width,
-            height: result.height
-          });
-        }
-      }
-    );
-    
-    uploadStream.end(buffer);
-  });
-};
-
-// Helper function to delete image from Cloudinary
-const deleteFromCloudinary = async (publicId) => {
-  try {
-    const result = await cloudinary.uploader.destroy(publicId);
-    return result;
-  } catch (error) {
-    console.error('Error deleting from Cloudinary:', error);
-    throw error;
-  }
-};
-
-module.exports = {
-  cloudinary,
-  upload,
-  uploadToCloudinary,
-  deleteFromCloudinary
-};
\ No newline at end of file
+module.exports = { cloudinary };
@@ -0,0 +1,42 @@
+// config/imagePresets.js
+// How uploads are cropped and resized, per purpose (?purpose= on /api/upload).
+//
+//   width, height - target size; with fit 'cover' the image is cropped to
+//                   exactly this size, with 'inside' it is only scaled down
+//   gravity       - what to keep when cropping: 'face' or 'auto' (most
+//                   interesting region)
+//   widths        - responsive variants offered in the srcset
+const IMAGE_PRESETS = {
+  // Square, centred on the face
+  avatar: { width: 400, height: 400, fit: 'cover', gravity: 'face', widths: [96, 192, 400] },
+  // 16:9 banner
+  hero: { width: 1920, height: 1080, fit: 'cover', gravity: 'auto', widths: [640, 960, 1280, 1920] },
+  // 4:3 screenshot or photo
+  project: { width: 1600, height: 1200, fit: 'cover', gravity: 'auto', widths: [400, 800, 1200, 1600] },
+  // Logos are never cropped
+  logo: { width: 600, height: 600, fit: 'inside', gravity: null, widths: [150, 300, 600] },
+  // Anything else: scaled down to fit 1200x1200
+  default: { width: 1200, height: 1200, fit: 'inside', gravity: null, widths: [400, 800, 1200] }
+};
+
+const PLACEHOLDER_WIDTH = 32;
+
+const IMAGE_PURPOSES = Object.keys(IMAGE_PRESETS).filter(purpose => purpose !== 'default');
+
+// The preset for a ?purpose= value: the default preset when none is given,
+// null when the purpose is unknown
+const getImagePreset = (purpose) => {
+  if (!purpose) {
+    return { purpose: null, ...IMAGE_PRESETS.default };
+  }
+  if (!IMAGE_PURPOSES.includes(purpose)) {
+    return null;
+  }
+  return { purpose, ...IMAGE_PRESETS[purpose] };
+};
+
+module.exports = {
+  IMAGE_PURPOSES,
+  PLACEHOLDER_WIDTH,
+  getImagePreset
+};
@@ -0,0 +1,76 @@
+// config/rateLimits.js
+const { rateLimit, createMemoryStore, createRedisStore } = require('../middleware/rateLimit');
+
+const MINUTE = 60 * 1000;
+
+// Default limits per route group. Each can be overridden with
+// RATE_LIMIT_<GROUP>_MAX and RATE_LIMIT_<GROUP>_WINDOW_MS.
+const groups = {
+  // Unauthenticated reads under /api/public/*, per IP
+  public: { windowMs: 15 * MINUTE, max: 300 },
+  // Authenticated API traffic, per user
+  api: { windowMs: 15 * MINUTE, max: 600 },
+  // Authenticated POST/PUT/DELETE requests, per user
+  writes: { windowMs: 15 * MINUTE, max: 100 },
+  // Creating or updating ratings, per user
+  ratings: { windowMs: 60 * MINUTE, max: 20 },
+  // Image uploads, per user
+  uploads: { windowMs: 60 * MINUTE, max: 30 }
+};
+
+const settingsFor = (group) => {
+  const prefix = `RATE_LIMIT_${group.toUpperCase()}`;
+  return {
+    windowMs: parseInt(process.env[`${prefix}_WINDOW_MS`]) || groups[group].windowMs,
+    max: parseInt(process.env[`${prefix}_MAX`]) || groups[group].max
+  };
+};
+
+// Counters are shared through Redis when RATE_LIMIT_REDIS_URL is set,
+// otherwise each instance keeps its own in memory
+const createStore = () => {
+  if (!process.env.RATE_LIMIT_REDIS_URL) {
+    return createMemoryStore();
+  }
+
+  const { createClient } = require('redis');
+  // Without the offline queue, commands fail straight away while Redis is
+  // unreachable and the limiter lets requests through, instead of queueing
+  // them until it comes back
+  const client = createClient({ url: process.env.RATE_LIMIT_REDIS_URL, disableOfflineQueue: true });
+  client.on('error', (error) => console.error('Rate limit Redis error:', error));
+  client.connect().catch(error => console.error('Rate limit Redis connection failed:', error));
+
+  return createRedisStore({ sendCommand: (args) => client.sendCommand(args) });
+};
+
+const store = createStore();
+
+const limiter = (group, options = {}) => rateLimit({
+  name: group,
+  store,
+  ...settingsFor(group),
+  ...options
+});
+
+// Uploads in a batch beyond the first, which uploadLimiter already counted:
+// files sent to /multiple, or tickets asked for from /sign
+const extraUploads = (req) => {
+  const uploads = req.files ? req.files.length : parseInt(req.body && req.body.count) || 1;
+  return Math.max(0, Math.min(uploads, 10) - 1);
+};
+
+const isRead = (req) => req.method === 'GET' || req.method === 'HEAD' || req.method === 'OPTIONS';
+
+module.exports = {
+  publicLimiter: limiter('public'),
+  apiLimiter: limiter('api'),
+  writeLimiter: limiter('writes', { skip: isRead }),
+  // Only creating or updating a rating; replies and helpful votes count as writes
+  ratingLimiter: limiter('ratings', { skip: (req) => req.method !== 'POST' || req.path !== '/' }),
+  // Direct uploads are charged when their tickets are signed, so completing
+  // one is free
+  uploadLimiter: limiter('uploads', { skip: (req) => req.path === '/complete' }),
+  // Charges the rest of a batch to the same counter; use after the files arrive
+  uploadBatchLimiter: limiter('uploads', { cost: extraUploads, skip: (req) => extraUploads(req) === 0 })
+};
@@ -0,0 +1,87 @@
+// config/templates.js
+// The portfolio templates, listed by GET /api/templates. A portfolio's
+// templateId must be one of these.
+//
+//   sections - required sections must have content; optional ones may.
+//              Sections a template doesn't list aren't shown by it, but are
+//              kept so switching back restores them.
+//   theme    - colours and fonts, also used for exports. Fonts are system
+//              font stacks so exports work offline.
+//   limits   - most items a list section may hold with this template
+const TEMPLATES = {
+  modern: {
+    name: 'Modern',
+    description: 'Clean single page for developers and engineers, with experience and education timelines.',
+    sections: {
+      required: ['heroSection', 'aboutMe'],
+      optional: ['skills', 'projects', 'experience', 'education', 'testimonials', 'contact']
+    },
+    theme: {
+      colors: { background: '#ffffff', surface: '#f4f6fb', text: '#1f2937', muted: '#6b7280', accent: '#2563eb' },
+      fonts: {
+        heading: "'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif",
+        body: "'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif"
+      }
+    },
+    limits: { skills: 40, projects: 20, experience: 20, education: 10, testimonials: 10 }
+  },
+  creative: {
+    name: 'Creative',
+    description: 'Image-led showcase for designers and artists, built around a project gallery.',
+    sections: {
+      required: ['heroSection', 'projects'],
+      optional: ['aboutMe', 'skills', 'testimonials', 'contact']
+    },
+    theme: {
+      colors: { background: '#fffaf3', surface: '#fdebd3', text: '#2d1b0e', muted: '#8a6d55', accent: '#e4572e' },
+      fonts: {
+        heading: "Georgia, 'Times New Roman', serif",
+        body: "'Trebuchet MS', 'Lucida Sans', Arial, sans-serif"
+      }
+    },
+    limits: { skills: 20, projects: 30, testimonials: 12 }
+  },
+  minimal: {
+    name: 'Minimal',
+    description: 'Text-first, résumé-style page with a handful of selected projects.',
+    sections: {
+      required: ['heroSection', 'aboutMe'],
+      optional: ['skills', 'experience', 'education', 'projects', 'contact']
+    },
+    theme: {
+      colors: { background: '#ffffff', surface: '#f5f5f5', text: '#222222', muted: '#666666', accent: '#333333' },
+      fonts: {
+        heading: "'Helvetica Neue', Arial, sans-serif",
+        body: "'Helvetica Neue', Arial, sans-serif"
+      }
+    },
+    limits: { skills: 30, projects: 6, experience: 15, education: 10 }
+  }
+};
+
+// Portfolios whose templateId predates the registry are shown with this theme
+const DEFAULT_THEME = TEMPLATES.minimal.theme;
+
+const TEMPLATE_IDS = Object.keys(TEMPLATES);
+
+// The template for an id, with its id, or null if there is no such template
+const getTemplate = (templateId) => {
+  if (!Object.prototype.hasOwnProperty.call(TEMPLATES, templateId)) {
+    return null;
+  }
+  return { id: templateId, ...TEMPLATES[templateId] };
+};
+
+const getTheme = (templateId) => {
+  const template = getTemplate(templateId);
+  return template ? template.theme : DEFAULT_THEME;
+};
+
+const listTemplates = () => TEMPLATE_IDS.map(getTemplate);
+
+module.exports = {
+  TEMPLATE_IDS,
+  getTemplate,
+  getTheme,
+  listTemplates
+};
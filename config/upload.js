@@ -0,0 +1,142 @@
+// config/upload.js
+const multer = require('multer');
+const { getImageInfo, isSvg } = require('../utils/imageInfo');
+const { stripMetadata } = require('../utils/imageSanitizer');
+
+// Image types we accept, by declared MIME type, mapped to the format the file's
+// bytes must actually be in (see middleware/imageValidation.js). SVG is not
+// accepted: it can carry scripts.
+const ALLOWED_IMAGE_TYPES = {
+  'image/png': 'png',
+  'image/jpeg': 'jpeg',
+  'image/jpg': 'jpeg',
+  'image/pjpeg': 'jpeg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+const MAX_FILE_SIZE = 10 * 1024 * 1024; // 10MB
+
+// Largest accepted width/height, and total pixel count. The pixel limit guards
+// against decompression bombs: tiny files that expand to huge images.
+const IMAGE_LIMITS = {
+  maxDimension: parseInt(process.env.MAX_IMAGE_DIMENSION) || 8000,
+  maxPixels: (parseInt(process.env.MAX_IMAGE_MEGAPIXELS) || 40) * 1000 * 1000
+};
+
+// Upload rejections carry a specific code and HTTP status
+const uploadError = (code, status, message) => {
+  const error = new Error(message);
+  error.code = code;
+  error.status = status;
+  return error;
+};
+
+// Throws unless an image's size is readable and within IMAGE_LIMITS
+const checkImageSize = ({ width, height }) => {
+  if (!width || !height) {
+    throw uploadError('IMAGE_UNREADABLE', 422, 'The image appears to be corrupt');
+  }
+
+  if (width > IMAGE_LIMITS.maxDimension || height > IMAGE_LIMITS.maxDimension) {
+    throw uploadError(
+      'IMAGE_DIMENSIONS_EXCEEDED',
+      422,
+      `Image is ${width}x${height}; the maximum width and height is ${IMAGE_LIMITS.maxDimension} pixels`
+    );
+  }
+
+  if (width * height > IMAGE_LIMITS.maxPixels) {
+    throw uploadError(
+      'IMAGE_PIXELS_EXCEEDED',
+      422,
+      `Image has too many pixels; the maximum is ${IMAGE_LIMITS.maxPixels / 1000000} megapixels`
+    );
+  }
+};
+
+// Check an image by its content, expecting `format` (png, jpeg, gif or webp),
+// and return its bytes with the metadata (EXIF, GPS, XMP...) stripped.
+// Throws an upload error for anything else.
+const inspectImage = (buffer, format) => {
+  if (isSvg(buffer)) {
+    throw uploadError('SVG_NOT_ALLOWED', 415, 'SVG images are not allowed');
+  }
+
+  const info = getImageInfo(buffer);
+  if (!info) {
+    throw uploadError('UNSUPPORTED_FILE_TYPE', 415, 'Only PNG, JPEG, GIF and WebP images are allowed');
+  }
+
+  if (format !== info.format) {
+    throw uploadError('FILE_TYPE_MISMATCH', 415, `File content is ${info.format}, but it was sent as ${format}`);
+  }
+
+  checkImageSize(info);
+
+  try {
+    return stripMetadata(buffer, info.format);
+  } catch (error) {
+    throw uploadError('IMAGE_UNREADABLE', 422, 'The image appears to be corrupt');
+  }
+};
+
+// Configure multer for memory storage; the storage driver writes the files
+const storage = multer.memoryStorage();
+
+// A multer instance whose errors carry its limits. multer's errors don't say
+// what the limit was, so the error handler in server.js reads it from here.
+const createUpload = (options) => {
+  const instance = multer(options);
+  const withLimits = (middleware) => (req, res, next) => middleware(req, res, (error) => {
+    if (error instanceof multer.MulterError) {
+      error.limits = options.limits;
+    }
+    next(error);
+  });
+
+  return {
+    single: (field) => withLimits(instance.single(field)),
+    array: (field, maxCount) => withLimits(instance.array(field, maxCount))
+  };
+};
+
+const upload = createUpload({
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 10
+  },
+  // A first check on the declared type only; the content is checked once the
+  // file has arrived
+  fileFilter: (req, file, cb) => {
+    if (file.mimetype === 'image/svg+xml') {
+      cb(uploadError('SVG_NOT_ALLOWED', 415, 'SVG images are not allowed'));
+    } else if (ALLOWED_IMAGE_TYPES[file.mimetype]) {
+      cb(null, true);
+    } else {
+      cb(uploadError('UNSUPPORTED_FILE_TYPE', 415, 'Only PNG, JPEG, GIF and WebP images are allowed'));
+    }
+  }
+});
+
+// Résumés for POST /api/portfolios/import: a single PDF, JSON or text file.
+// Only read, never stored.
+const RESUME_TYPES = ['application/pdf', 'application/json', 'text/plain'];
+
+const resumeUpload = createUpload({
+  storage: storage,
+  limits: {
+    fileSize: MAX_FILE_SIZE,
+    files: 1
+  },
+  fileFilter: (req, file, cb) => {
+    if (RESUME_TYPES.includes(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(uploadError('UNSUPPORTED_FILE_TYPE', 415, 'Résumés must be PDF, JSON or plain text files'));
+    }
+  }
+});
+
+module.exports = { upload, resumeUpload, uploadError, checkImageSize, inspectImage, ALLOWED_IMAGE_TYPES };
@@ -0,0 +1,39 @@
+// jobs/assetSweep.js
+const { sweepOrphanedAssets } = require('../services/assets');
+const { sweepExpiredUploadTickets } = require('../services/uploadTickets');
+
+const DEFAULT_INTERVAL_MS = 6 * 60 * 60 * 1000;
+
+// Periodically delete uploads that no portfolio has used for ASSET_ORPHAN_DAYS,
+// and direct uploads that were never completed
+const startAssetSweep = (intervalMs = parseInt(process.env.ASSET_SWEEP_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    // Don't overlap runs if a previous one is still going
+    if (running) return;
+    running = true;
+    try {
+      const removed = await sweepOrphanedAssets();
+      if (removed > 0) {
+        console.log(`Removed ${removed} unused upload(s)`);
+      }
+
+      const expired = await sweepExpiredUploadTickets();
+      if (expired > 0) {
+        console.log(`Removed ${expired} expired upload ticket(s)`);
+      }
+    } catch (error) {
+      console.error('Asset sweep error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startAssetSweep };
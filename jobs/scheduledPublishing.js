@@ -0,0 +1,32 @@
+// jobs/scheduledPublishing.js
+const { publishDuePortfolios } = require('../services/publishing');
+
+const DEFAULT_INTERVAL_MS = 60 * 1000;
+
+// Periodically publish portfolios whose publishAt time has passed
+const startScheduledPublishing = (intervalMs = parseInt(process.env.PUBLISH_JOB_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    // Don't overlap runs if a previous one is still going
+    if (running) return;
+    running = true;
+    try {
+      const published = await publishDuePortfolios();
+      if (published.length > 0) {
+        console.log(`Published ${published.length} scheduled portfolio(s)`);
+      }
+    } catch (error) {
+      console.error('Scheduled publishing error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  const timer = setInterval(tick, intervalMs);
+  // Don't keep the process alive just for this job
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startScheduledPublishing };
@@ -0,0 +1,30 @@
+// jobs/searchIndexRefresh.js
+const { rebuildSearchIndex } = require('../services/searchIndex');
+
+const DEFAULT_INTERVAL_MS = 10 * 60 * 1000;
+
+// Load the search index on startup and rebuild it periodically so writes
+// made by other server instances show up in search results
+const startSearchIndexRefresh = (intervalMs = parseInt(process.env.SEARCH_REBUILD_INTERVAL_MS) || DEFAULT_INTERVAL_MS) => {
+  let running = false;
+
+  const tick = async () => {
+    if (running) return;
+    running = true;
+    try {
+      const count = await rebuildSearchIndex();
+      console.log(`Search index built with ${count} portfolio(s)`);
+    } catch (error) {
+      console.error('Search index rebuild error:', error);
+    } finally {
+      running = false;
+    }
+  };
+
+  tick();
+  const timer = setInterval(tick, intervalMs);
+  timer.unref();
+  return timer;
+};
+
+module.exports = { startSearchIndexRefresh };
@@ -19,14 +19,17 @@ const authMiddleware = async (req, res, next) => {
       });
     }
 
-    // Verify the Firebase ID token
-    const decodedToken = await admin.auth().verifyIdToken(token);
+    // Verify the Firebase ID token. Checking for revocation also rejects
+    // disabled accounts, so a suspension takes effect straight away.
+    const decodedToken = await admin.auth().verifyIdToken(token, true);
     
     // Add user info to request object
     req.user = {
       uid: decodedToken.uid,
       email: decodedToken.email,
-      emailVerified: decodedToken.email_verified
+      emailVerified: decodedToken.email_verified,
+      // Set through Firebase custom claims (see scripts/set-role.js)
+      roles: Array.isArray(decodedToken.roles) ? decodedToken.roles : []
     };
 
     next();
@@ -47,6 +50,13 @@ const authMiddleware = async (req, res, next) => {
       });
     }
     
+    if (error.code === 'auth/user-disabled') {
+      return res.status(401).json({ 
+        message: 'Account disabled', 
+        code: 'ACCOUNT_DISABLED' 
+      });
+    }
+    
     if (error.code === 'auth/argument-error') {
       return res.status(400).json({ 
         message: 'Invalid token format',
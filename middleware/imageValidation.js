@@ -0,0 +1,34 @@
+// middleware/imageValidation.js
+// Checks uploaded files by their content rather than the type the client
+// claims, then strips their metadata (EXIF, GPS, XMP...) before they are
+// stored. Runs after multer; a single bad file rejects the whole request.
+//
+// Rejections, each with its own code:
+//   SVG_NOT_ALLOWED            415  the file is an SVG
+//   UNSUPPORTED_FILE_TYPE      415  not a PNG, JPEG, GIF or WebP
+//   FILE_TYPE_MISMATCH         415  the content doesn't match the declared type
+//   IMAGE_UNREADABLE           422  the image header is missing or corrupt
+//   IMAGE_DIMENSIONS_EXCEEDED  422  wider or taller than MAX_IMAGE_DIMENSION
+//   IMAGE_PIXELS_EXCEEDED      422  more than MAX_IMAGE_MEGAPIXELS in total
+const { inspectImage, ALLOWED_IMAGE_TYPES } = require('../config/upload');
+
+const validateImages = (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+
+  for (const file of files) {
+    try {
+      file.buffer = inspectImage(file.buffer, ALLOWED_IMAGE_TYPES[file.mimetype]);
+      file.size = file.buffer.length;
+    } catch (error) {
+      return res.status(error.status).json({
+        message: error.message,
+        code: error.code,
+        file: file.originalname
+      });
+    }
+  }
+
+  next();
+};
+
+module.exports = validateImages;
@@ -0,0 +1,131 @@
+// middleware/rateLimit.js
+// Fixed-window rate limiter with pluggable stores.
+//
+// A store implements `increment(key, windowMs, amount)` and resolves to
+// { count, resetAt } where resetAt is a ms timestamp for the end of the window.
+
+// Keeps counters in process memory. Fine for a single instance; use a Redis
+// store when running several instances behind a load balancer.
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+  const hits = new Map();
+
+  // Drop expired windows so the map doesn't grow without bound
+  const timer = setInterval(() => {
+    const now = Date.now();
+    hits.forEach((entry, key) => {
+      if (entry.resetAt <= now) {
+        hits.delete(key);
+      }
+    });
+  }, cleanupIntervalMs);
+  timer.unref();
+
+  const increment = async (key, windowMs, amount = 1) => {
+    const now = Date.now();
+    let entry = hits.get(key);
+
+    if (!entry || entry.resetAt <= now) {
+      entry = { count: 0, resetAt: now + windowMs };
+      hits.set(key, entry);
+    }
+
+    entry.count += amount;
+    return { count: entry.count, resetAt: entry.resetAt };
+  };
+
+  return { increment };
+};
+
+// Increment the counter and start its expiry in one round trip
+const INCREMENT_SCRIPT = `
+local count = redis.call('INCRBY', KEYS[1], ARGV[2])
+if redis.call('PTTL', KEYS[1]) < 0 then
+  redis.call('PEXPIRE', KEYS[1], ARGV[1])
+end
+return { count, redis.call('PTTL', KEYS[1]) }
+`;
+
+// Works with any Redis-compatible server. `sendCommand` takes the raw command
+// as an array of strings and resolves to the reply, e.g.
+//   node-redis: (args) => client.sendCommand(args)
+//   ioredis:    (args) => client.call(...args)
+const createRedisStore = ({ sendCommand, prefix = 'rl:' }) => {
+  if (typeof sendCommand !== 'function') {
+    throw new Error('Redis store requires a sendCommand function');
+  }
+
+  const increment = async (key, windowMs, amount = 1) => {
+    const [count, ttl] = await sendCommand([
+      'EVAL', INCREMENT_SCRIPT, '1', `${prefix}${key}`, String(windowMs), String(amount)
+    ]);
+    const remainingMs = Number(ttl) > 0 ? Number(ttl) : windowMs;
+    return { count: Number(count), resetAt: Date.now() + remainingMs };
+  };
+
+  return { increment };
+};
+
+// Authenticated requests are limited per user, everything else per IP
+const defaultKeyGenerator = (req) => {
+  return req.user ? `uid:${req.user.uid}` : `ip:${req.ip}`;
+};
+
+// Create a rate limiting middleware.
+//
+// options:
+//   name         - namespace for the counters (one per route group)
+//   windowMs     - window length
+//   max          - requests allowed per window
+//   store        - memory store (default) or Redis store
+//   keyGenerator - (req) => key
+//   skip         - (req) => true to let the request through uncounted
+//   cost         - (req) => how many requests this one counts as (default 1)
+const rateLimit = ({
+  name,
+  windowMs,
+  max,
+  store = createMemoryStore(),
+  keyGenerator = defaultKeyGenerator,
+  skip = () => false,
+  cost = () => 1
+}) => {
+  return async (req, res, next) => {
+    if (skip(req)) {
+      return next();
+    }
+
+    let result;
+    try {
+      result = await store.increment(`${name}:${keyGenerator(req)}`, windowMs, cost(req));
+    } catch (error) {
+      // Don't take the API down with the limiter's store
+      console.error(`Rate limit store error (${name}):`, error);
+      return next();
+    }
+
+    const resetSeconds = Math.max(0, Math.ceil((result.resetAt - Date.now()) / 1000));
+
+    res.set({
+      'RateLimit-Limit': String(max),
+      'RateLimit-Remaining': String(Math.max(0, max - result.count)),
+      'RateLimit-Reset': String(resetSeconds)
+    });
+
+    if (result.count > max) {
+      res.set('Retry-After', String(resetSeconds));
+      return res.status(429).json({
+        message: 'Too many requests, please try again later.',
+        code: 'RATE_LIMITED',
+        retryAfter: resetSeconds
+      });
+    }
+
+    next();
+  };
+};
+
+module.exports = {
+  rateLimit,
+  createMemoryStore,
+  createRedisStore
+};
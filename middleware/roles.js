@@ -0,0 +1,36 @@
+// middleware/roles.js
+// Role checks for routes behind authMiddleware. Roles come from the `roles`
+// custom claim on the user's Firebase ID token.
+
+const ROLES = {
+  // Can moderate reviews
+  MODERATOR: 'moderator',
+  // Full access to /api/admin, and everything a moderator can do
+  ADMIN: 'admin'
+};
+
+const hasRole = (user, role) => {
+  if (!user || !user.roles) {
+    return false;
+  }
+  return user.roles.includes(role) || user.roles.includes(ROLES.ADMIN);
+};
+
+// Allow the request through if the user has any of the given roles (admins always pass)
+const requireRole = (...roles) => {
+  return (req, res, next) => {
+    if (!roles.some(role => hasRole(req.user, role))) {
+      return res.status(403).json({
+        message: 'Access denied - Insufficient permissions',
+        code: 'FORBIDDEN'
+      });
+    }
+    next();
+  };
+};
+
+module.exports = {
+  ROLES,
+  hasRole,
+  requireRole
+};
@@ -0,0 +1,35 @@
+// middleware/storageQuota.js
+// Refuses uploads that would take the user over their storage quota
+// (USER_STORAGE_QUOTA_MB). Runs after multer, so the file sizes are known;
+// they are the sizes as uploaded, before Cloudinary resizes and recompresses.
+const { getStorageUsage } = require('../services/assets');
+
+const MB = 1024 * 1024;
+
+const enforceStorageQuota = async (req, res, next) => {
+  const files = req.files || (req.file ? [req.file] : []);
+  const incomingBytes = files.reduce((sum, file) => sum + file.size, 0);
+
+  if (incomingBytes === 0) {
+    return next();
+  }
+
+  try {
+    const { usedBytes, quotaBytes } = await getStorageUsage(req.user.uid);
+
+    if (usedBytes + incomingBytes > quotaBytes) {
+      return res.status(413).json({
+        message: `Storage quota exceeded. You are using ${(usedBytes / MB).toFixed(1)} MB of ${Math.round(quotaBytes / MB)} MB.`,
+        code: 'STORAGE_QUOTA_EXCEEDED',
+        usedBytes,
+        quotaBytes
+      });
+    }
+
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+module.exports = enforceStorageQuota;
@@ -0,0 +1,210 @@
+// routes/admin.js - Admin-only endpoints (mounted behind requireRole(ROLES.ADMIN))
+const express = require('express');
+const { admin } = require('../config/firebase');
+const { isPublished, toOwnerView } = require('../utils/portfolioViews');
+const { parseLimit } = require('../utils/pagination');
+const { takeDownPortfolio, restorePortfolio } = require('../services/publishing');
+const { suspendUser, reinstateUser, listUsers } = require('../services/accounts');
+const { indexPortfolio } = require('../services/searchIndex');
+const router = express.Router();
+
+const db = admin.firestore();
+const portfoliosCollection = db.collection('portfolios');
+
+const MAX_REASON_LENGTH = 500;
+
+// GET /api/admin/users - All users, paginated with Firebase Auth page tokens
+router.get('/users', async (req, res) => {
+  try {
+    const { users, nextPageToken } = await listUsers({
+      limit: parseLimit(req.query.limit),
+      pageToken: req.query.pageToken
+    });
+
+    res.json({ users, nextPageToken });
+
+  } catch (error) {
+    if (error.code === 'auth/invalid-page-token') {
+      return res.status(400).json({ message: 'Invalid page token' });
+    }
+
+    console.error('Error listing users:', error);
+    res.status(500).json({
+      message: 'Failed to list users',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/users/:uid/suspend - Disable an account and take down its portfolios
+router.post('/users/:uid/suspend', async (req, res) => {
+  try {
+    const { uid } = req.params;
+    const reason = parseReason(req.body.reason);
+
+    if (reason === false) {
+      return res.status(400).json({ message: `Reason must be text of at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    if (uid === req.user.uid) {
+      return res.status(400).json({ message: 'You cannot suspend your own account' });
+    }
+
+    const takenDown = await suspendUser(uid, { reason, by: req.user.uid });
+
+    res.json({ message: 'User suspended successfully', portfoliosTakenDown: takenDown });
+
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    console.error('Error suspending user:', error);
+    res.status(500).json({
+      message: 'Failed to suspend user',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/users/:uid/reinstate - Lift a suspension
+router.post('/users/:uid/reinstate', async (req, res) => {
+  try {
+    const restored = await reinstateUser(req.params.uid);
+
+    res.json({ message: 'User reinstated successfully', portfoliosRestored: restored });
+
+  } catch (error) {
+    if (error.code === 'auth/user-not-found') {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    console.error('Error reinstating user:', error);
+    res.status(500).json({
+      message: 'Failed to reinstate user',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/portfolios/:id/feature - Feature a published portfolio
+router.post('/portfolios/:id/feature', async (req, res) => {
+  await setFeatured(req, res, true);
+});
+
+// POST /api/admin/portfolios/:id/unfeature - Stop featuring a portfolio
+router.post('/portfolios/:id/unfeature', async (req, res) => {
+  await setFeatured(req, res, false);
+});
+
+// POST /api/admin/portfolios/:id/takedown - Take a portfolio offline; the owner can't republish it
+router.post('/portfolios/:id/takedown', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+    const reason = parseReason(req.body.reason);
+
+    if (reason === false) {
+      return res.status(400).json({ message: `Reason must be text of at most ${MAX_REASON_LENGTH} characters` });
+    }
+
+    const doc = await portfoliosCollection.doc(portfolioId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const changed = await takeDownPortfolio(portfolioId, { reason, by: req.user.uid });
+    const updatedDoc = await portfoliosCollection.doc(portfolioId).get();
+
+    res.json({
+      message: changed ? 'Portfolio taken down successfully' : 'Portfolio was already taken down',
+      portfolio: toOwnerView(updatedDoc.id, updatedDoc.data())
+    });
+
+  } catch (error) {
+    console.error('Error taking down portfolio:', error);
+    res.status(500).json({
+      message: 'Failed to take down portfolio',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/admin/portfolios/:id/restore - Undo a takedown
+router.post('/portfolios/:id/restore', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+    const doc = await portfoliosCollection.doc(portfolioId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const changed = await restorePortfolio(portfolioId);
+    const updatedDoc = await portfoliosCollection.doc(portfolioId).get();
+
+    res.json({
+      message: changed ? 'Portfolio restored successfully' : 'Portfolio was not taken down',
+      portfolio: toOwnerView(updatedDoc.id, updatedDoc.data())
+    });
+
+  } catch (error) {
+    console.error('Error restoring portfolio:', error);
+    res.status(500).json({
+      message: 'Failed to restore portfolio',
+      error: error.message
+    });
+  }
+});
+
+// Shared feature/unfeature handler
+async function setFeatured(req, res, featured) {
+  try {
+    const portfolioId = req.params.id;
+    const docRef = portfoliosCollection.doc(portfolioId);
+    const doc = await docRef.get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    if (featured && !isPublished(doc.data())) {
+      return res.status(400).json({ message: 'Only published portfolios can be featured' });
+    }
+
+    await docRef.update({
+      featured,
+      featuredAt: featured ? admin.firestore.FieldValue.serverTimestamp() : null,
+      featuredBy: featured ? req.user.uid : null
+    });
+
+    // Search results carry the featured flag
+    const updatedDoc = await docRef.get();
+    indexPortfolio(updatedDoc.id, updatedDoc.data());
+
+    res.json({
+      message: featured ? 'Portfolio featured successfully' : 'Portfolio unfeatured successfully',
+      portfolio: toOwnerView(updatedDoc.id, updatedDoc.data())
+    });
+
+  } catch (error) {
+    console.error('Error updating featured flag:', error);
+    res.status(500).json({
+      message: 'Failed to update featured flag',
+      error: error.message
+    });
+  }
+}
+
+// Optional free-text reason. Returns null when absent, false when invalid.
+function parseReason(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  if (typeof value !== 'string' || value.length > MAX_REASON_LENGTH) {
+    return false;
+  }
+  return value.trim();
+}
+
+module.exports = router;
@@ -0,0 +1,105 @@
+// routes/analytics.js
+const express = require('express');
+const { admin } = require('../config/firebase');
+const { getPortfolioAnalytics, parseRange } = require('../services/analytics');
+const { listUserPortfolios } = require('../services/userPortfolios');
+const router = express.Router();
+
+const db = admin.firestore();
+const portfoliosCollection = db.collection('portfolios');
+
+// GET /api/analytics/stats - Portfolio stats for the dashboard
+router.get('/stats', async (req, res) => {
+  try {
+    // Get total portfolios count
+    const portfoliosSnapshot = await portfoliosCollection.get();
+    const totalPortfolios = portfoliosSnapshot.size;
+    
+    // The user's stats, summed over all their portfolios, plus each one's
+    const { docs, primaryId } = await listUserPortfolios(req.user.uid);
+
+    const portfolios = docs.map(doc => ({
+      id: doc.id,
+      primary: doc.id === primaryId,
+      status: doc.get('status') || null,
+      views: doc.get('views') || 0,
+      uniqueVisitors: doc.get('uniqueVisitors') || 0,
+      createdAt: doc.get('createdAt') || null
+    }));
+
+    const userStats = {
+      hasPortfolio: portfolios.length > 0,
+      portfolioCount: portfolios.length,
+      views: portfolios.reduce((sum, portfolio) => sum + portfolio.views, 0),
+      uniqueVisitors: portfolios.reduce((sum, portfolio) => sum + portfolio.uniqueVisitors, 0),
+      // When the user's first portfolio was created
+      createdAt: portfolios
+        .map(portfolio => portfolio.createdAt)
+        .filter(Boolean)
+        .sort((a, b) => a.toMillis() - b.toMillis())[0] || null,
+      portfolios
+    };
+    
+    res.json({
+      totalPortfolios,
+      userStats
+    });
+  } catch (error) {
+    console.error('Analytics error:', error);
+    res.status(500).json({ 
+      message: 'Failed to fetch analytics',
+      error: error.message 
+    });
+  }
+});
+
+// GET /api/analytics/portfolio/:id - Views over time, unique visitors and top referrers (only owner)
+// Query: days (default 30) or from/to as YYYY-MM-DD
+router.get('/portfolio/:id', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+
+    const doc = await portfoliosCollection.doc(portfolioId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const portfolio = doc.data();
+
+    if (portfolio.userId !== req.user.uid) {
+      return res.status(403).json({
+        message: 'Access denied - You can only view analytics for your own portfolio'
+      });
+    }
+
+    const range = parseRange(req.query);
+    if (!range) {
+      return res.status(400).json({
+        message: 'Invalid date range. Use YYYY-MM-DD dates spanning at most 365 days.'
+      });
+    }
+
+    const { series, totals, topReferrers } = await getPortfolioAnalytics(portfolioId, range);
+
+    res.json({
+      portfolioId,
+      range,
+      totals: {
+        ...totals,
+        allTimeViews: portfolio.views || 0,
+        allTimeUniqueVisitors: portfolio.uniqueVisitors || 0
+      },
+      series,
+      topReferrers
+    });
+  } catch (error) {
+    console.error('Portfolio analytics error:', error);
+    res.status(500).json({
+      message: 'Failed to fetch analytics',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
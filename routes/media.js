@@ -0,0 +1,120 @@
+// routes/media.js - The signed-in user's uploaded images
+// Public ids contain slashes; send them as-is or URL-encoded.
+const express = require('express');
+const { validate } = require('../utils/schema');
+const { parseLimit } = require('../utils/pagination');
+const {
+  getStorageUsage,
+  toMediaItem,
+  listUserAssets,
+  updateAssetMetadata,
+  deleteUserAsset
+} = require('../services/assets');
+const router = express.Router();
+
+const metadataSchema = {
+  type: 'object',
+  properties: {
+    alt: { type: 'string', maxLength: 300, nullable: true },
+    caption: { type: 'string', maxLength: 1000, nullable: true }
+  }
+};
+
+// GET /api/media - List your uploads, newest first (limit, cursor)
+router.get('/', async (req, res) => {
+  try {
+    const userId = req.user.uid;
+
+    const [{ docs, nextCursor }, storage] = await Promise.all([
+      listUserAssets(userId, { limit: parseLimit(req.query.limit), cursor: req.query.cursor }),
+      getStorageUsage(userId)
+    ]);
+
+    res.json({
+      media: docs.map(toMediaItem),
+      nextCursor,
+      storage
+    });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error fetching media:', error);
+    res.status(500).json({
+      message: 'Failed to fetch media',
+      error: error.message
+    });
+  }
+});
+
+// PATCH /api/media/:publicId - Edit alt text and caption
+router.patch('/:publicId(*)', async (req, res) => {
+  try {
+    const { value, errors } = validate(metadataSchema, req.body, '', { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({ message: 'Validation failed', errors });
+    }
+
+    if (!value || Object.keys(value).length === 0) {
+      return res.status(400).json({ message: 'Nothing to update - send alt and/or caption' });
+    }
+
+    const doc = await updateAssetMetadata(req.user.uid, req.params.publicId, value);
+
+    res.json({
+      message: 'Media updated successfully',
+      media: toMediaItem(doc)
+    });
+  } catch (error) {
+    if (error.code === 'ASSET_NOT_FOUND') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    console.error('Error updating media:', error);
+    res.status(500).json({
+      message: 'Failed to update media',
+      error: error.message
+    });
+  }
+});
+
+// DELETE /api/media/:publicId - Delete an upload (?force=true if a portfolio still uses it)
+router.delete('/:publicId(*)', async (req, res) => {
+  try {
+    await deleteUserAsset(req.user.uid, req.params.publicId, {
+      force: req.query.force === 'true'
+    });
+
+    res.json({ message: 'Media deleted successfully' });
+  } catch (error) {
+    if (error.code === 'ASSET_NOT_FOUND') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.code === 'ASSET_PUBLISHED') {
+      return res.status(409).json({
+        message: `${error.message}. Remove it from the portfolio and publish again first.`,
+        code: error.code,
+        portfolioIds: error.portfolioIds
+      });
+    }
+
+    if (error.code === 'ASSET_IN_USE') {
+      return res.status(409).json({
+        message: `${error.message}. Remove it from the portfolio first, or pass force=true.`,
+        code: error.code,
+        portfolioIds: error.portfolioIds
+      });
+    }
+
+    console.error('Error deleting media:', error);
+    res.status(500).json({
+      message: 'Failed to delete media',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,112 @@
+// routes/moderation.js - Review moderation queue (moderators only)
+const express = require('express');
+const { getOwners, toRaterSummary } = require('../services/owners');
+const { MODERATION_STATUS } = require('../utils/moderation');
+const { parseLimit } = require('../utils/pagination');
+const {
+  QUEUE_STATUSES,
+  moderateReview,
+  listModerationQueue,
+  getReviewReports
+} = require('../services/reviewModeration');
+const router = express.Router();
+
+const MAX_NOTE_LENGTH = 500;
+
+// GET /api/moderation/reviews - Reviews waiting for a moderator (?status=pending|hidden)
+router.get('/reviews', async (req, res) => {
+  try {
+    const { status, cursor } = req.query;
+
+    if (status && !QUEUE_STATUSES.includes(status)) {
+      return res.status(400).json({ message: `Status must be one of: ${QUEUE_STATUSES.join(', ')}` });
+    }
+
+    const { docs, nextCursor } = await listModerationQueue({
+      status,
+      limit: parseLimit(req.query.limit),
+      cursor
+    });
+
+    const owners = await getOwners(docs.map(doc => doc.get('userId')));
+
+    const reviews = docs.map(doc => ({
+      id: doc.id,
+      ...doc.data(),
+      user: toRaterSummary(owners.get(doc.get('userId')))
+    }));
+
+    res.json({ reviews, nextCursor });
+
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: error.message });
+    }
+
+    console.error('Error fetching moderation queue:', error);
+    res.status(500).json({
+      message: 'Failed to fetch moderation queue',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/moderation/reviews/:id/reports - Reports filed against a review
+router.get('/reviews/:id/reports', async (req, res) => {
+  try {
+    const reports = await getReviewReports(req.params.id);
+    res.json({ reports });
+
+  } catch (error) {
+    console.error('Error fetching review reports:', error);
+    res.status(500).json({
+      message: 'Failed to fetch review reports',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/moderation/reviews/:id/approve - Make a review visible again
+router.post('/reviews/:id/approve', async (req, res) => {
+  await moderate(req, res, MODERATION_STATUS.APPROVED);
+});
+
+// POST /api/moderation/reviews/:id/reject - Take a review down for good
+router.post('/reviews/:id/reject', async (req, res) => {
+  await moderate(req, res, MODERATION_STATUS.REJECTED);
+});
+
+// Shared approve/reject handler
+async function moderate(req, res, status) {
+  try {
+    const { note } = req.body;
+
+    if (note !== undefined && note !== null && (typeof note !== 'string' || note.length > MAX_NOTE_LENGTH)) {
+      return res.status(400).json({ message: `Note must be text of at most ${MAX_NOTE_LENGTH} characters` });
+    }
+
+    const review = await moderateReview(req.params.id, {
+      status,
+      moderatorId: req.user.uid,
+      note
+    });
+
+    res.json({
+      message: status === MODERATION_STATUS.APPROVED ? 'Review approved' : 'Review rejected',
+      review
+    });
+
+  } catch (error) {
+    if (error.code === 'RATING_NOT_FOUND') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    console.error('Error moderating review:', error);
+    res.status(500).json({
+      message: 'Failed to moderate review',
+      error: error.message
+    });
+  }
+}
+
+module.exports = router;
@@ -0,0 +1,148 @@
+// routes/portfolio-versions.js - Mounted at /api/portfolios/:id/versions
+const express = require('express');
+const { admin } = require('../config/firebase');
+const { getDraftContent, toOwnerView } = require('../utils/portfolioViews');
+const {
+  snapshotVersion,
+  listVersions,
+  getVersion,
+  diffContent
+} = require('../services/portfolioVersions');
+const { syncPortfolioAssets } = require('../services/assets');
+const router = express.Router({ mergeParams: true });
+
+const db = admin.firestore();
+const portfoliosCollection = db.collection('portfolios');
+
+// Only the owner can see or restore versions of a portfolio
+router.use(async (req, res, next) => {
+  try {
+    const doc = await portfoliosCollection.doc(req.params.id).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    if (doc.data().userId !== req.user.uid) {
+      return res.status(403).json({
+        message: 'Access denied - You can only view versions of your own portfolio'
+      });
+    }
+
+    req.portfolio = doc.data();
+    next();
+  } catch (error) {
+    console.error('Error loading portfolio for versions:', error);
+    res.status(500).json({
+      message: 'Failed to load portfolio',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/portfolios/:id/versions - List saved versions, newest first
+router.get('/', async (req, res) => {
+  try {
+    const versions = await listVersions(req.params.id);
+    res.json({ versions });
+  } catch (error) {
+    console.error('Error listing portfolio versions:', error);
+    res.status(500).json({
+      message: 'Failed to fetch versions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/portfolios/:id/versions/diff?from=&to= - Compare two versions section by section
+// Either side may be `current` to compare against the current draft.
+router.get('/diff', async (req, res) => {
+  try {
+    const { from, to = 'current' } = req.query;
+
+    if (!from) {
+      return res.status(400).json({ message: 'The `from` version is required' });
+    }
+
+    const resolve = async (versionId) => {
+      if (versionId === 'current') {
+        return getDraftContent(req.portfolio);
+      }
+      const version = await getVersion(req.params.id, versionId);
+      return version ? version.content : null;
+    };
+
+    const [fromContent, toContent] = await Promise.all([resolve(from), resolve(to)]);
+
+    if (!fromContent || !toContent) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json({ from, to, ...diffContent(fromContent, toContent) });
+  } catch (error) {
+    console.error('Error diffing portfolio versions:', error);
+    res.status(500).json({
+      message: 'Failed to diff versions',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/portfolios/:id/versions/:versionId - Get a single version with its content
+router.get('/:versionId', async (req, res) => {
+  try {
+    const version = await getVersion(req.params.id, req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    res.json(version);
+  } catch (error) {
+    console.error('Error fetching portfolio version:', error);
+    res.status(500).json({
+      message: 'Failed to fetch version',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/portfolios/:id/versions/:versionId/restore - Restore a version into the draft
+router.post('/:versionId/restore', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+    const version = await getVersion(portfolioId, req.params.versionId);
+
+    if (!version) {
+      return res.status(404).json({ message: 'Version not found' });
+    }
+
+    // Keep the state we are replacing so the restore itself can be undone
+    await snapshotVersion(portfolioId, req.portfolio, {
+      reason: 'restore',
+      createdBy: req.user.uid
+    });
+
+    await portfoliosCollection.doc(portfolioId).update({
+      draft: version.content,
+      hasUnpublishedChanges: true,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const updatedDoc = await portfoliosCollection.doc(portfolioId).get();
+    await syncPortfolioAssets(portfolioId, updatedDoc.data());
+
+    res.json({
+      message: 'Version restored to draft successfully',
+      portfolio: toOwnerView(updatedDoc.id, updatedDoc.data())
+    });
+  } catch (error) {
+    console.error('Error restoring portfolio version:', error);
+    res.status(500).json({
+      message: 'Failed to restore version',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -1,113 +1,106 @@
 // routes/portfolios.js
 const express = require('express');
 const { admin } = require('../config/firebase');
+const { validatePortfolio } = require('../validators/portfolio');
+const { validateTemplateContent, validateTemplateUpdate } = require('../validators/template');
+const {
+  PORTFOLIO_STATUS,
+  pickContent,
+  getDraftContent,
+  isPublished,
+  toOwnerView,
+  toPublicView
+} = require('../utils/portfolioViews');
+const {
+  validateDraftForPublish,
+  publishPortfolio,
+  schedulePublish,
+  unpublishPortfolio
+} = require('../services/publishing');
+const { snapshotVersion, diffContent } = require('../services/portfolioVersions');
+const {
+  reserveGeneratedSlug,
+  changeSlug,
+  isSlugAvailable,
+  validateVanitySlug,
+  releaseSlugs
+} = require('../services/slugs');
+const { listPortfolios } = require('../services/portfolioListing');
+const { recordView, viewerFromRequest, referrerFromRequest } = require('../services/analytics');
+const { getOwners, getOwner, ensureUserProfile, presentOwner } = require('../services/owners');
+const { removePortfolio: removeFromSearchIndex } = require('../services/searchIndex');
+const { syncPortfolioAssets } = require('../services/assets');
+const {
+  MAX_PORTFOLIOS_PER_USER,
+  listUserPortfolios,
+  createUserPortfolio,
+  setPrimaryPortfolio,
+  reassignPrimary
+} = require('../services/userPortfolios');
+const { EXPORT_FORMATS, buildExport } = require('../services/portfolioExport');
+const { importResume } = require('../services/resumeImport');
+const { resumeUpload } = require('../config/upload');
+const { parseLimit } = require('../utils/pagination');
+const portfolioVersionRoutes = require('./portfolio-versions');
 const router = express.Router();
 
 const db = admin.firestore();
 const portfoliosCollection = db.collection('portfolios');
-const usersCollection = db.collection('users');
 
-// GET /api/portfolios - Get all portfolios with owner details
+// GET /api/portfolios - Get a page of portfolios with owner details
+// Query: myPortfolios, featured, skill, role, limit, cursor
 router.get('/', async (req, res) => {
   try {
     const userId = req.user.uid;
-    const { myPortfolios, skill, role, featured } = req.query;
-    let query = portfoliosCollection;
-
-    // Filter by current user if requested
-    if (myPortfolios === 'true') {
-      query = query.where('userId', '==', userId);
-    }
-
-    // Filter by featured portfolios
-    if (featured === 'true') {
-      query = query.where('featured', '==', true);
-    }
+    const { myPortfolios, skill, role, featured, cursor } = req.query;
+    const isMine = myPortfolios === 'true';
+
+    // Everyone else's portfolios are only listed once published
+    const { docs, nextCursor } = await listPortfolios({
+      filters: {
+        userId: isMine ? userId : null,
+        published: !isMine,
+        listed: !isMine,
+        featured: featured === 'true',
+        skill,
+        role
+      },
+      limit: parseLimit(req.query.limit),
+      cursor
+    });
 
-    const snapshot = await query.orderBy('createdAt', 'desc').get();
-    
-    if (snapshot.empty) {
-      return res.json([]);
+    if (docs.length === 0) {
+      return res.json({ portfolios: [], nextCursor: null });
     }
 
     const portfolios = [];
     const userIds = new Set();
 
-    // Collect all portfolio data and unique user IDs
-    snapshot.forEach(doc => {
+    // Collect page data and unique user IDs
+    docs.forEach(doc => {
       const portfolioData = doc.data();
-      portfolios.push({
-        id: doc.id,
-        ...portfolioData
-      });
+      portfolios.push(isMine
+        ? toOwnerView(doc.id, portfolioData)
+        : toPublicView(doc.id, portfolioData));
       userIds.add(portfolioData.userId);
     });
 
-    // Fetch user details for all portfolio owners
-    const userPromises = Array.from(userIds).map(async (uid) => {
-      try {
-        const userDoc = await usersCollection.doc(uid).get();
-        if (userDoc.exists) {
-          return { uid, ...userDoc.data() };
-        }
-        const userRecord = await admin.auth().getUser(uid);
-        return {
-          uid: userRecord.uid,
-          email: userRecord.email,
-          displayName: userRecord.displayName || 'Anonymous User',
-          phone: userRecord.phoneNumber || null,
-          photoURL: userRecord.photoURL || null
-        };
-      } catch (error) {
-        console.error(`Error fetching user ${uid}:`, error);
-        return {
-          uid,
-          email: 'Unknown',
-          displayName: 'Unknown User',
-          phone: null,
-          photoURL: null
-        };
-      }
-    });
+    // Fetch user details for all portfolio owners in one batch
+    const owners = await getOwners(Array.from(userIds));
 
-    const users = await Promise.all(userPromises);
-    const userMap = users.reduce((acc, user) => {
-      acc[user.uid] = user;
-      return acc;
-    }, {});
-
-    // Combine portfolios with owner details and apply filters
-    let portfoliosWithOwners = portfolios.map(portfolio => ({
+    // Combine portfolios with owner details
+    const portfoliosWithOwners = portfolios.map(portfolio => ({
       ...portfolio,
-      owner: {
-        uid: portfolio.userId,
-        email: userMap[portfolio.userId]?.email || 'Unknown',
-        displayName: userMap[portfolio.userId]?.displayName || 'Unknown User',
-        phone: userMap[portfolio.userId]?.phone || null,
-        photoURL: userMap[portfolio.userId]?.photoURL || null
-      },
+      owner: presentOwner(owners.get(portfolio.userId), userId),
       isOwnPortfolio: portfolio.userId === userId
     }));
 
-    // Apply skill filter
-    if (skill) {
-      portfoliosWithOwners = portfoliosWithOwners.filter(portfolio => 
-        portfolio.skills && portfolio.skills.some(s => 
-          s.toLowerCase().includes(skill.toLowerCase())
-        )
-      );
-    }
-
-    // Apply role filter
-    if (role) {
-      portfoliosWithOwners = portfoliosWithOwners.filter(portfolio => 
-        portfolio.heroSection && portfolio.heroSection.title && 
-        portfolio.heroSection.title.toLowerCase().includes(role.toLowerCase())
-      );
+    res.json({ portfolios: portfoliosWithOwners, nextCursor });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
 
-    res.json(portfoliosWithOwners);
-  } catch (error) {
     console.error('Error fetching portfolios:', error);
     res.status(500).json({ 
       message: 'Failed to fetch portfolios',
@@ -116,162 +109,120 @@ router.get('/', async (req, res) => {
   }
 });
 
-// GET /api/portfolios/my - Get current user's portfolio
-router.get('/my', async (req, res) => {
+// GET /api/portfolios/mine - All of the current user's portfolios, primary first
+router.get('/mine', async (req, res) => {
   try {
     const userId = req.user.uid;
-    
-    const snapshot = await portfoliosCollection
-      .where('userId', '==', userId)
-      .limit(1)
-      .get();
-
-    if (snapshot.empty) {
-      return res.status(404).json({ 
-        message: 'No portfolio found',
-        hasPortfolio: false 
-      });
-    }
 
-    const doc = snapshot.docs[0];
-    const portfolio = { id: doc.id, ...doc.data() };
-
-    // Get owner details
-    let owner;
-    try {
-      const userDoc = await usersCollection.doc(portfolio.userId).get();
-      if (userDoc.exists) {
-        owner = userDoc.data();
-      } else {
-        const userRecord = await admin.auth().getUser(portfolio.userId);
-        owner = {
-          email: userRecord.email,
-          displayName: userRecord.displayName || 'Anonymous User',
-          phone: userRecord.phoneNumber || null,
-          photoURL: userRecord.photoURL || null
-        };
-      }
-    } catch (error) {
-      owner = {
-        email: req.user.email,
-        displayName: 'Anonymous User',
-        phone: null,
-        photoURL: null
-      };
-    }
-
-    const portfolioWithOwner = {
-      ...portfolio,
-      owner: {
-        uid: portfolio.userId,
-        ...owner
-      },
-      isOwnPortfolio: true,
-      hasPortfolio: true
-    };
-
-    res.json(portfolioWithOwner);
+    const [{ docs, primaryId }, owner] = await Promise.all([
+      listUserPortfolios(userId),
+      getOwner(userId)
+    ]);
+
+    const presentedOwner = presentOwner(owner, userId);
+
+    res.json({
+      portfolios: docs.map(doc => ({
+        ...toOwnerView(doc.id, doc.data()),
+        primary: doc.id === primaryId,
+        owner: presentedOwner,
+        isOwnPortfolio: true
+      })),
+      primaryId,
+      maxPortfolios: MAX_PORTFOLIOS_PER_USER
+    });
   } catch (error) {
-    console.error('Error fetching user portfolio:', error);
+    console.error('Error fetching user portfolios:', error);
     res.status(500).json({ 
-      message: 'Failed to fetch portfolio',
+      message: 'Failed to fetch portfolios',
       error: error.message 
     });
   }
 });
 
-// POST /api/portfolios - Create a new portfolio (only if user doesn't have one)
+// POST /api/portfolios - Create a new portfolio (up to MAX_PORTFOLIOS_PER_USER per user)
 router.post('/', async (req, res) => {
   try {
     const userId = req.user.uid;
-    const userEmail = req.user.email;
-    const portfolioData = req.body;
-
-    // Check if user already has a portfolio
-    const existingPortfolio = await portfoliosCollection
-      .where('userId', '==', userId)
-      .limit(1)
-      .get();
-
-    if (!existingPortfolio.empty) {
-      return res.status(409).json({
-        message: 'You already have a portfolio. You can only create one portfolio per account.',
-        hasPortfolio: true
+
+    // Validate against the portfolio schema (also strips server-owned fields)
+    const { value: portfolioData, errors } = validatePortfolio(req.body);
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors
       });
     }
 
-    // Validate required fields
-    const requiredFields = ['templateId', 'heroSection', 'aboutMe'];
-    const missingFields = requiredFields.filter(field => !portfolioData[field]);
-    
-    if (missingFields.length > 0) {
+    // Then against the chosen template's sections and limits
+    const templateCheck = validateTemplateContent(portfolioData);
+
+    if (templateCheck.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: templateCheck.errors
+      });
+    }
+
+    const publishAt = parsePublishAt(req.body.publishAt);
+    if (publishAt === false) {
       return res.status(400).json({
-        message: 'Missing required fields',
-        missingFields
+        message: 'Validation failed',
+        errors: [{ path: 'publishAt', message: 'Must be a future ISO 8601 date' }]
       });
     }
 
-    // Get or create user profile
-    let userProfile;
+    // Get or create user profile, once the request is known to be valid
+    let owner;
     try {
-      const userDoc = await usersCollection.doc(userId).get();
-      if (userDoc.exists) {
-        userProfile = userDoc.data();
-      } else {
-        const userRecord = await admin.auth().getUser(userId);
-        userProfile = {
-          email: userRecord.email,
-          displayName: userRecord.displayName || portfolioData.heroSection?.name || 'Anonymous User',
-          phone: userRecord.phoneNumber || null,
-          photoURL: userRecord.photoURL || null,
-          createdAt: admin.firestore.FieldValue.serverTimestamp()
-        };
-        await usersCollection.doc(userId).set(userProfile);
-      }
+      owner = await ensureUserProfile(userId, { displayName: portfolioData.heroSection.name });
     } catch (error) {
       console.error('Error handling user profile:', error);
-      userProfile = {
-        email: userEmail,
-        displayName: portfolioData.heroSection?.name || 'Anonymous User',
-        phone: null,
-        photoURL: null
-      };
+      owner = await getOwner(userId);
     }
 
-    // Add user ID, timestamps, and default values
-    const newPortfolio = {
-      ...portfolioData,
+    // Reserve a unique slug for the new document before writing it
+    const docRef = portfoliosCollection.doc();
+    const slug = await reserveGeneratedSlug(docRef.id, portfolioData.heroSection.name);
+
+    const newPortfolio = buildNewPortfolio({
       userId,
-      slug: `${portfolioData.heroSection.name.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}`,
-      featured: false,
-      views: 0,
-      status: 'published', // draft, published
-      seoTitle: portfolioData.heroSection.name,
-      seoDescription: portfolioData.heroSection.tagline,
-      createdAt: admin.firestore.FieldValue.serverTimestamp(),
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
-    };
+      draft: {
+        ...portfolioData,
+        seoTitle: portfolioData.seoTitle || portfolioData.heroSection.name,
+        seoDescription: portfolioData.seoDescription || portfolioData.heroSection.tagline || ''
+      },
+      slug,
+      ownerHidden: owner.privacy.hiddenFromDirectory
+    });
 
-    const docRef = await portfoliosCollection.add(newPortfolio);
+    await createOrReleaseSlug(docRef, userId, newPortfolio);
+
+    // Optionally go live straight away or at a scheduled time
+    if (req.body.publish === true) {
+      await publishPortfolio(docRef.id);
+    } else if (publishAt) {
+      await schedulePublish(docRef.id, publishAt);
+    }
 
     // Get the created document to return it with owner details
     const createdDoc = await docRef.get();
+    await syncPortfolioAssets(createdDoc.id, createdDoc.data());
     const createdPortfolio = {
-      id: createdDoc.id,
-      ...createdDoc.data(),
-      owner: {
-        uid: userId,
-        email: userProfile.email,
-        displayName: userProfile.displayName,
-        phone: userProfile.phone,
-        photoURL: userProfile.photoURL
-      },
+      ...toOwnerView(createdDoc.id, createdDoc.data()),
+      owner: presentOwner(owner, userId),
       isOwnPortfolio: true,
-      hasPortfolio: true
+      hasPortfolio: true,
+      unsupportedSections: templateCheck.unsupportedSections
     };
 
     res.status(201).json(createdPortfolio);
   } catch (error) {
+    if (error.code === 'PORTFOLIO_LIMIT_REACHED') {
+      return res.status(409).json(limitReachedResponse(error));
+    }
+
     console.error('Error creating portfolio:', error);
     res.status(500).json({ 
       message: 'Failed to create portfolio',
@@ -280,6 +231,66 @@ router.post('/', async (req, res) => {
   }
 });
 
+// POST /api/portfolios/import - Turn a résumé into a portfolio draft to review.
+// Send JSON { resume } (a JSON Resume document) or { text }, or upload a PDF,
+// JSON or text file as `file`; templateId is optional. Nothing is saved: the
+// draft goes through POST /api/portfolios once the user has reviewed it.
+router.post('/import', resumeUpload.single('file'), async (req, res) => {
+  try {
+    const { resume, text, templateId } = req.body;
+
+    if (!req.file && resume === undefined && text === undefined) {
+      return res.status(400).json({
+        message: 'Send a résumé as `resume` (JSON Resume), `text` or a `file` upload'
+      });
+    }
+
+    const result = await importResume({ resume, text, file: req.file, templateId: templateId || undefined });
+
+    res.json(result);
+  } catch (error) {
+    if (error.code === 'INVALID_RESUME') {
+      return res.status(400).json({ message: error.message, code: error.code });
+    }
+    if (error.code === 'RESUME_UNREADABLE' || error.code === 'RESUME_EMPTY') {
+      return res.status(422).json({ message: error.message, code: error.code });
+    }
+
+    console.error('Error importing résumé:', error);
+    res.status(500).json({
+      message: 'Failed to import résumé',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/portfolios/slugs/:slug/availability - Check whether a vanity slug can be used
+router.get('/slugs/:slug/availability', async (req, res) => {
+  try {
+    const { slug } = req.params;
+    const { portfolioId } = req.query;
+
+    const reason = validateVanitySlug(slug);
+    if (reason) {
+      return res.json({ slug, available: false, reason });
+    }
+
+    const available = await isSlugAvailable(slug, portfolioId || null);
+
+    res.json({
+      slug,
+      available,
+      reason: available ? null : 'This slug is already taken'
+    });
+  } catch (error) {
+    console.error('Error checking slug availability:', error);
+    res.status(500).json({
+      message: 'Failed to check slug availability',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/portfolios/:id - Get a specific portfolio with owner details
 router.get('/:id', async (req, res) => {
   try {
@@ -292,47 +303,32 @@ router.get('/:id', async (req, res) => {
       return res.status(404).json({ message: 'Portfolio not found' });
     }
 
-    const portfolio = { id: doc.id, ...doc.data() };
+    const data = doc.data();
+    const isOwner = data.userId === userId;
 
-    // Increment view count if it's not the owner viewing
-    if (portfolio.userId !== userId) {
-      await portfoliosCollection.doc(portfolioId).update({
-        views: admin.firestore.FieldValue.increment(1)
-      });
-      portfolio.views = (portfolio.views || 0) + 1;
+    // Only the owner can see a portfolio that isn't published
+    if (!isOwner && !isPublished(data)) {
+      return res.status(404).json({ message: 'Portfolio not found' });
     }
 
-    // Get owner details
-    let owner;
-    try {
-      const userDoc = await usersCollection.doc(portfolio.userId).get();
-      if (userDoc.exists) {
-        owner = userDoc.data();
-      } else {
-        const userRecord = await admin.auth().getUser(portfolio.userId);
-        owner = {
-          email: userRecord.email,
-          displayName: userRecord.displayName || 'Anonymous User',
-          phone: userRecord.phoneNumber || null,
-          photoURL: userRecord.photoURL || null
-        };
+    const portfolio = isOwner ? toOwnerView(doc.id, data) : toPublicView(doc.id, data);
+
+    // Record the view if it's not the owner viewing (once per visitor per day)
+    if (!isOwner) {
+      const { counted } = await recordView({
+        portfolioId,
+        viewer: viewerFromRequest(req),
+        referrer: referrerFromRequest(req)
+      });
+      if (counted) {
+        portfolio.views = (portfolio.views || 0) + 1;
       }
-    } catch (error) {
-      owner = {
-        email: 'Unknown',
-        displayName: 'Unknown User',
-        phone: null,
-        photoURL: null
-      };
     }
 
     const portfolioWithOwner = {
       ...portfolio,
-      owner: {
-        uid: portfolio.userId,
-        ...owner
-      },
-      isOwnPortfolio: portfolio.userId === userId
+      owner: presentOwner(await getOwner(portfolio.userId), userId),
+      isOwnPortfolio: isOwner
     };
 
     res.json(portfolioWithOwner);
@@ -345,12 +341,81 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/portfolios/:id/export?format=html|zip|pdf - Download the portfolio (only owner)
+// Exports the draft; pass version=published for the live version
+router.get('/:id/export', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+    const userId = req.user.uid;
+    const format = req.query.format || 'html';
+    const version = req.query.version || 'draft';
+
+    if (!EXPORT_FORMATS.includes(format)) {
+      return res.status(400).json({ message: `Format must be one of: ${EXPORT_FORMATS.join(', ')}` });
+    }
+
+    if (!['draft', 'published'].includes(version)) {
+      return res.status(400).json({ message: 'Version must be draft or published' });
+    }
+
+    const doc = await portfoliosCollection.doc(portfolioId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const portfolio = doc.data();
+
+    if (portfolio.userId !== userId) {
+      return res.status(403).json({
+        message: 'Access denied - You can only export your own portfolio'
+      });
+    }
+
+    if (version === 'published' && !isPublished(portfolio)) {
+      return res.status(409).json({ message: 'This portfolio has no published version' });
+    }
+
+    const content = version === 'published' ? pickContent(portfolio) : getDraftContent(portfolio);
+    const file = await buildExport(content, format, { name: portfolio.slug || doc.id });
+
+    res.attachment(file.fileName);
+    res.type(file.contentType);
+
+    if (Buffer.isBuffer(file.body)) {
+      return res.send(file.body);
+    }
+
+    // Zips are streamed; once started, a failure can only cut the download short
+    file.body.on('error', (error) => {
+      console.error('Error streaming portfolio export:', error);
+      res.destroy(error);
+    });
+    file.body.pipe(res);
+  } catch (error) {
+    console.error('Error exporting portfolio:', error);
+    res.status(500).json({
+      message: 'Failed to export portfolio',
+      error: error.message
+    });
+  }
+});
+
 // PUT /api/portfolios/:id - Update a portfolio (only owner can update)
 router.put('/:id', async (req, res) => {
   try {
     const portfolioId = req.params.id;
     const userId = req.user.uid;
-    const updateData = req.body;
+
+    // Validate only the sections being updated; server-owned fields are dropped
+    const { value: updateData, errors } = validatePortfolio(req.body, { partial: true });
+
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors
+      });
+    }
 
     // Check if the portfolio exists and belongs to the user
     const doc = await portfoliosCollection.doc(portfolioId).get();
@@ -367,35 +432,54 @@ router.put('/:id', async (req, res) => {
       });
     }
 
-    // Update the portfolio
+    const currentDraft = getDraftContent(portfolio);
+    const draft = { ...currentDraft, ...updateData };
+
+    // Nothing changes (e.g. an empty body): no version, no unpublished changes
+    if (diffContent(currentDraft, draft).sections.length === 0) {
+      return res.json({
+        ...toOwnerView(doc.id, portfolio),
+        owner: presentOwner(await getOwner(userId), userId),
+        isOwnPortfolio: true,
+        unsupportedSections: validateTemplateContent(currentDraft).unsupportedSections
+      });
+    }
+
+    // Check the result against its template; switching templates checks
+    // every section
+    const templateCheck = validateTemplateUpdate(currentDraft, draft, Object.keys(updateData));
+
+    if (templateCheck.errors.length > 0) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: templateCheck.errors
+      });
+    }
+
+    // Keep the previous state so a bad save can be rolled back
+    await snapshotVersion(portfolioId, portfolio, { reason: 'update', createdBy: userId });
+
+    // Edits go into the draft; the published version stays live until publish
+    // The slug is left alone; owners change it explicitly via PUT /:id/slug
     const updatedData = {
-      ...updateData,
+      draft,
+      hasUnpublishedChanges: true,
       updatedAt: admin.firestore.FieldValue.serverTimestamp()
     };
 
-    // Update slug if name changed
-    if (updateData.heroSection?.name && updateData.heroSection.name !== portfolio.heroSection?.name) {
-      updatedData.slug = `${updateData.heroSection.name.toLowerCase().replace(/\s+/g, '-')}-${Date.now()}`;
-    }
-
     await portfoliosCollection.doc(portfolioId).update(updatedData);
 
     // Get the updated document with owner details
     const updatedDoc = await portfoliosCollection.doc(portfolioId).get();
-    const userDoc = await usersCollection.doc(userId).get();
-    const userProfile = userDoc.exists ? userDoc.data() : {};
+
+    // Images replaced in this edit are removed
+    await syncPortfolioAssets(portfolioId, updatedDoc.data());
 
     const updatedPortfolio = {
-      id: updatedDoc.id,
-      ...updatedDoc.data(),
-      owner: {
-        uid: userId,
-        email: userProfile.email || req.user.email,
-        displayName: userProfile.displayName || 'Anonymous User',
-        phone: userProfile.phone || null,
-        photoURL: userProfile.photoURL || null
-      },
-      isOwnPortfolio: true
+      ...toOwnerView(updatedDoc.id, updatedDoc.data()),
+      owner: presentOwner(await getOwner(userId), userId),
+      isOwnPortfolio: true,
+      unsupportedSections: templateCheck.unsupportedSections
     };
 
     res.json(updatedPortfolio);
@@ -408,6 +492,249 @@ router.put('/:id', async (req, res) => {
   }
 });
 
+// POST /api/portfolios/:id/publish - Publish the draft now or at `publishAt` (only owner)
+router.post('/:id/publish', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+    const userId = req.user.uid;
+
+    const doc = await portfoliosCollection.doc(portfolioId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const portfolio = doc.data();
+
+    if (portfolio.userId !== userId) {
+      return res.status(403).json({
+        message: 'Access denied - You can only publish your own portfolio'
+      });
+    }
+
+    if (portfolio.status === PORTFOLIO_STATUS.TAKEN_DOWN) {
+      return res.status(403).json(takenDownResponse());
+    }
+
+    const publishAt = parsePublishAt(req.body.publishAt);
+    if (publishAt === false) {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: [{ path: 'publishAt', message: 'Must be a future ISO 8601 date' }]
+      });
+    }
+
+    // Catch incomplete drafts now rather than when the job runs
+    const errors = validateDraftForPublish(portfolio);
+    if (errors.length > 0) {
+      return res.status(400).json({
+        message: 'Draft is incomplete and cannot be published',
+        errors
+      });
+    }
+
+    if (publishAt) {
+      await schedulePublish(portfolioId, publishAt);
+    } else {
+      await publishPortfolio(portfolioId);
+    }
+
+    const updatedDoc = await portfoliosCollection.doc(portfolioId).get();
+
+    res.json({
+      message: publishAt ? 'Portfolio scheduled for publishing' : 'Portfolio published successfully',
+      portfolio: toOwnerView(updatedDoc.id, updatedDoc.data())
+    });
+  } catch (error) {
+    console.error('Error publishing portfolio:', error);
+    res.status(500).json({
+      message: 'Failed to publish portfolio',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/portfolios/:id/unpublish - Take a portfolio offline and cancel any schedule (only owner)
+router.post('/:id/unpublish', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+    const userId = req.user.uid;
+
+    const doc = await portfoliosCollection.doc(portfolioId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    if (doc.data().userId !== userId) {
+      return res.status(403).json({
+        message: 'Access denied - You can only unpublish your own portfolio'
+      });
+    }
+
+    if (doc.data().status === PORTFOLIO_STATUS.TAKEN_DOWN) {
+      return res.status(403).json(takenDownResponse());
+    }
+
+    await unpublishPortfolio(portfolioId);
+
+    const updatedDoc = await portfoliosCollection.doc(portfolioId).get();
+
+    res.json({
+      message: 'Portfolio unpublished successfully',
+      portfolio: toOwnerView(updatedDoc.id, updatedDoc.data())
+    });
+  } catch (error) {
+    console.error('Error unpublishing portfolio:', error);
+    res.status(500).json({
+      message: 'Failed to unpublish portfolio',
+      error: error.message
+    });
+  }
+});
+
+// PUT /api/portfolios/:id/slug - Choose a vanity slug (only owner)
+// The previous slug keeps resolving and redirects to the new one.
+router.put('/:id/slug', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+    const userId = req.user.uid;
+    const { slug } = req.body;
+
+    const doc = await portfoliosCollection.doc(portfolioId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    if (doc.data().userId !== userId) {
+      return res.status(403).json({
+        message: 'Access denied - You can only change the slug of your own portfolio'
+      });
+    }
+
+    await changeSlug(portfolioId, typeof slug === 'string' ? slug.trim().toLowerCase() : slug);
+
+    const updatedDoc = await portfoliosCollection.doc(portfolioId).get();
+
+    res.json({
+      message: 'Slug updated successfully',
+      portfolio: toOwnerView(updatedDoc.id, updatedDoc.data())
+    });
+  } catch (error) {
+    if (error.code === 'SLUG_INVALID') {
+      return res.status(400).json({
+        message: 'Validation failed',
+        errors: [{ path: 'slug', message: error.message }]
+      });
+    }
+
+    if (error.code === 'SLUG_TAKEN') {
+      return res.status(409).json({ message: error.message });
+    }
+
+    console.error('Error updating portfolio slug:', error);
+    res.status(500).json({
+      message: 'Failed to update slug',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/portfolios/:id/duplicate - Copy a portfolio's draft into a new portfolio (only owner)
+// The copy starts as an unpublished draft with its own slug and no views or ratings.
+router.post('/:id/duplicate', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+    const userId = req.user.uid;
+
+    const doc = await portfoliosCollection.doc(portfolioId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const source = doc.data();
+
+    if (source.userId !== userId) {
+      return res.status(403).json({
+        message: 'Access denied - You can only duplicate your own portfolio'
+      });
+    }
+
+    // Copying would bring back content an admin took down
+    if (source.status === PORTFOLIO_STATUS.TAKEN_DOWN) {
+      return res.status(403).json(takenDownResponse());
+    }
+
+    const draft = getDraftContent(source);
+    const docRef = portfoliosCollection.doc();
+    const slug = await reserveGeneratedSlug(docRef.id, (draft.heroSection && draft.heroSection.name) || '');
+
+    await createOrReleaseSlug(docRef, userId, {
+      ...buildNewPortfolio({ userId, draft, slug, ownerHidden: Boolean(source.ownerHidden) }),
+      duplicatedFrom: portfolioId
+    });
+
+    const createdDoc = await docRef.get();
+    // The copy uses the same images, so they stay until both are done with them
+    await syncPortfolioAssets(createdDoc.id, createdDoc.data());
+
+    res.status(201).json({
+      ...toOwnerView(createdDoc.id, createdDoc.data()),
+      owner: presentOwner(await getOwner(userId), userId),
+      isOwnPortfolio: true
+    });
+  } catch (error) {
+    if (error.code === 'PORTFOLIO_LIMIT_REACHED') {
+      return res.status(409).json(limitReachedResponse(error));
+    }
+
+    console.error('Error duplicating portfolio:', error);
+    res.status(500).json({
+      message: 'Failed to duplicate portfolio',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/portfolios/:id/primary - Make this the user's primary portfolio (only owner)
+router.post('/:id/primary', async (req, res) => {
+  try {
+    const portfolioId = req.params.id;
+    const userId = req.user.uid;
+
+    const doc = await portfoliosCollection.doc(portfolioId).get();
+
+    if (!doc.exists) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    if (doc.data().userId !== userId) {
+      return res.status(403).json({
+        message: 'Access denied - You can only choose your own primary portfolio'
+      });
+    }
+
+    await setPrimaryPortfolio(userId, portfolioId);
+
+    res.json({ message: 'Primary portfolio updated', primaryId: portfolioId });
+  } catch (error) {
+    if (error.code === 'PORTFOLIO_NOT_FOUND') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    console.error('Error setting primary portfolio:', error);
+    res.status(500).json({
+      message: 'Failed to update primary portfolio',
+      error: error.message
+    });
+  }
+});
+
+// Version history: /api/portfolios/:id/versions
+router.use('/:id/versions', portfolioVersionRoutes);
+
 // DELETE /api/portfolios/:id - Delete a portfolio (only owner can delete)
 router.delete('/:id', async (req, res) => {
   try {
@@ -429,11 +756,16 @@ router.delete('/:id', async (req, res) => {
       });
     }
 
-    // TODO: Delete associated images from Cloudinary
-    // This would require tracking image public IDs in the portfolio data
+    // Delete the portfolio with its subcollections (versions, analytics) and its slugs
+    await releaseSlugs(portfolioId);
+    await db.recursiveDelete(portfoliosCollection.doc(portfolioId));
+    removeFromSearchIndex(portfolioId);
+
+    // Remove the uploaded images that no other portfolio uses
+    await syncPortfolioAssets(portfolioId, null);
 
-    // Delete the portfolio
-    await portfoliosCollection.doc(portfolioId).delete();
+    // Another portfolio takes over if this was the primary one
+    await reassignPrimary(userId);
 
     res.json({ message: 'Portfolio deleted successfully' });
   } catch (error) {
@@ -445,4 +777,62 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
+// Fields of a newly created portfolio. New portfolios start as a draft;
+// nothing is live until it is published.
+function buildNewPortfolio({ userId, draft, slug, ownerHidden }) {
+  return {
+    userId,
+    draft,
+    hasUnpublishedChanges: true,
+    slug,
+    featured: false,
+    ownerHidden,
+    views: 0,
+    status: PORTFOLIO_STATUS.DRAFT,
+    publishAt: null,
+    createdAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+}
+
+// Write a new portfolio, giving its reserved slug back if the user is at
+// their portfolio limit
+async function createOrReleaseSlug(docRef, userId, data) {
+  try {
+    await createUserPortfolio(docRef, userId, data);
+  } catch (error) {
+    await releaseSlugs(docRef.id);
+    throw error;
+  }
+}
+
+function limitReachedResponse(error) {
+  return {
+    message: error.message,
+    code: error.code,
+    maxPortfolios: MAX_PORTFOLIOS_PER_USER
+  };
+}
+
+// Body for publish/unpublish attempts on a portfolio an admin has taken down
+function takenDownResponse() {
+  return {
+    message: 'This portfolio has been taken down by an administrator',
+    code: 'PORTFOLIO_TAKEN_DOWN'
+  };
+}
+
+// Parse an optional publishAt value. Returns null when absent, a Date when
+// valid, or false when present but not a future date.
+function parsePublishAt(value) {
+  if (value === undefined || value === null || value === '') {
+    return null;
+  }
+  const date = new Date(value);
+  if (Number.isNaN(date.getTime()) || date.getTime() <= Date.now()) {
+    return false;
+  }
+  return date;
+}
+
 module.exports = router;
\ No newline at end of file
@@ -1,95 +1,65 @@
 // routes/public-portfolios.js
 const express = require('express');
 const { admin } = require('../config/firebase');
+const { isPublished, toPublicView } = require('../utils/portfolioViews');
+const { resolveSlug } = require('../services/slugs');
+const { listPortfolios } = require('../services/portfolioListing');
+const { parseLimit } = require('../utils/pagination');
+const { search } = require('../services/searchIndex');
+const { getOwners, getOwner, presentOwner } = require('../services/owners');
+const { recordView, viewerFromRequest, referrerFromRequest } = require('../services/analytics');
+const { toJsonResume, toVCard } = require('../services/portfolioFormats');
 const router = express.Router();
 
 const db = admin.firestore();
 const portfoliosCollection = db.collection('portfolios');
-const usersCollection = db.collection('users');
 
-// GET /api/public/portfolios - Get all portfolios (no auth required)
+// GET /api/public/portfolios - Get a page of published portfolios (no auth required)
+// Query: skill, role, featured, limit, cursor
 router.get('/', async (req, res) => {
   try {
-    const { skill, role } = req.query;
-    
-    const snapshot = await portfoliosCollection.orderBy('createdAt', 'desc').get();
-    
-    if (snapshot.empty) {
-      return res.json([]);
+    const { skill, role, featured, cursor } = req.query;
+
+    const { docs, nextCursor } = await listPortfolios({
+      filters: {
+        published: true,
+        listed: true,
+        featured: featured === 'true',
+        skill,
+        role
+      },
+      limit: parseLimit(req.query.limit),
+      cursor
+    });
+
+    if (docs.length === 0) {
+      return res.json({ portfolios: [], nextCursor: null });
     }
 
     const portfolios = [];
     const userIds = new Set();
 
-    snapshot.forEach(doc => {
+    docs.forEach(doc => {
       const portfolioData = doc.data();
-      portfolios.push({
-        id: doc.id,
-        ...portfolioData
-      });
+      portfolios.push(toPublicView(doc.id, portfolioData));
       userIds.add(portfolioData.userId);
     });
 
-    // Fetch user details
-    const userPromises = Array.from(userIds).map(async (uid) => {
-      try {
-        const userDoc = await usersCollection.doc(uid).get();
-        if (userDoc.exists) {
-          return { uid, ...userDoc.data() };
-        }
-        
-        const userRecord = await admin.auth().getUser(uid);
-        return {
-          uid: userRecord.uid,
-          email: userRecord.email,
-          displayName: userRecord.displayName || 'Anonymous User',
-          photoURL: userRecord.photoURL || null
-        };
-      } catch (error) {
-        return {
-          uid,
-          email: 'Unknown',
-          displayName: 'Unknown User',
-          photoURL: null
-        };
-      }
-    });
-
-    const users = await Promise.all(userPromises);
-    const userMap = users.reduce((acc, user) => {
-      acc[user.uid] = user;
-      return acc;
-    }, {});
+    // Fetch user details for all portfolio owners in one batch
+    const owners = await getOwners(Array.from(userIds));
 
     // Combine portfolios with owner details
-    let portfoliosWithOwners = portfolios.map(portfolio => ({
+    const portfoliosWithOwners = portfolios.map(portfolio => ({
       ...portfolio,
-      owner: {
-        uid: portfolio.userId,
-        email: userMap[portfolio.userId]?.email || 'Unknown',
-        displayName: userMap[portfolio.userId]?.displayName || 'Unknown User',
-        photoURL: userMap[portfolio.userId]?.photoURL || null
-      }
+      owner: presentOwner(owners.get(portfolio.userId))
     }));
 
-    // Apply filters
-    if (skill) {
-      portfoliosWithOwners = portfoliosWithOwners.filter(portfolio => 
-        portfolio.skills && portfolio.skills.some(s => 
-          s.toLowerCase().includes(skill.toLowerCase())
-        )
-      );
-    }
-
-    if (role) {
-      portfoliosWithOwners = portfoliosWithOwners.filter(portfolio => 
-        portfolio.heroSection && portfolio.heroSection.title && 
-        portfolio.heroSection.title.toLowerCase().includes(role.toLowerCase())
-      );
+    res.json({ portfolios: portfoliosWithOwners, nextCursor });
+  } catch (error) {
+    if (error.code === 'INVALID_CURSOR') {
+      return res.status(400).json({ message: 'Invalid cursor' });
     }
 
-    res.json(portfoliosWithOwners);
-  } catch (error) {
     console.error('Error fetching public portfolios:', error);
     res.status(500).json({ 
       message: 'Failed to fetch portfolios',
@@ -98,6 +68,77 @@ router.get('/', async (req, res) => {
   }
 });
 
+// GET /api/public/portfolios/search?q= - Full-text search over published portfolios (no auth required)
+// Query: q, skill, role (facet filters), page, limit
+router.get('/search', (req, res) => {
+  try {
+    const q = typeof req.query.q === 'string' ? req.query.q.trim() : '';
+    const { skill, role } = req.query;
+
+    if (q.length < 2 || q.length > 200) {
+      return res.status(400).json({
+        message: 'Search query must be between 2 and 200 characters'
+      });
+    }
+
+    const pageNum = Math.max(parseInt(req.query.page) || 1, 1);
+    const limitNum = parseLimit(req.query.limit);
+    const offset = (pageNum - 1) * limitNum;
+
+    const { total, results, facets } = search(q, { skill, role, offset, limit: limitNum });
+
+    res.json({
+      query: q,
+      results,
+      facets,
+      pagination: {
+        currentPage: pageNum,
+        totalPages: Math.ceil(total / limitNum),
+        totalResults: total,
+        hasNext: offset + limitNum < total,
+        hasPrev: pageNum > 1
+      }
+    });
+  } catch (error) {
+    console.error('Error searching portfolios:', error);
+    res.status(500).json({
+      message: 'Failed to search portfolios',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/public/portfolios/by-slug/:slug - Get a portfolio by its public slug (no auth required)
+// Old slugs answer with a 301 pointing at the current one.
+router.get('/by-slug/:slug', async (req, res) => {
+  try {
+    const slug = req.params.slug.toLowerCase();
+    const resolved = await resolveSlug(slug);
+
+    if (!resolved || !isPublished(resolved.doc.data())) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    if (resolved.redirectTo) {
+      const location = `${req.baseUrl}/by-slug/${encodeURIComponent(resolved.redirectTo)}`;
+      return res.status(301).location(location).json({
+        message: 'Portfolio has moved',
+        slug: resolved.redirectTo,
+        location
+      });
+    }
+
+    const portfolio = await countView(req, toPublicView(resolved.doc.id, resolved.doc.data()));
+    res.json(await withOwner(portfolio));
+  } catch (error) {
+    console.error('Error fetching portfolio by slug:', error);
+    res.status(500).json({
+      message: 'Failed to fetch portfolio',
+      error: error.message
+    });
+  }
+});
+
 // GET /api/public/portfolios/:id - Get a specific portfolio (no auth required)
 router.get('/:id', async (req, res) => {
   try {
@@ -105,43 +146,13 @@ router.get('/:id', async (req, res) => {
 
     const doc = await portfoliosCollection.doc(portfolioId).get();
     
-    if (!doc.exists) {
+    // Drafts are never served publicly
+    if (!doc.exists || !isPublished(doc.data())) {
       return res.status(404).json({ message: 'Portfolio not found' });
     }
 
-    const portfolio = { id: doc.id, ...doc.data() };
-
-    // Get owner details
-    let owner;
-    try {
-      const userDoc = await usersCollection.doc(portfolio.userId).get();
-      if (userDoc.exists) {
-        owner = userDoc.data();
-      } else {
-        const userRecord = await admin.auth().getUser(portfolio.userId);
-        owner = {
-          email: userRecord.email,
-          displayName: userRecord.displayName || 'Anonymous User',
-          photoURL: userRecord.photoURL || null
-        };
-      }
-    } catch (error) {
-      owner = {
-        email: 'Unknown',
-        displayName: 'Unknown User',
-        photoURL: null
-      };
-    }
-
-    const portfolioWithOwner = {
-      ...portfolio,
-      owner: {
-        uid: portfolio.userId,
-        ...owner
-      }
-    };
-
-    res.json(portfolioWithOwner);
+    const portfolio = await countView(req, toPublicView(doc.id, doc.data()));
+    res.json(await withOwner(portfolio));
   } catch (error) {
     console.error('Error fetching public portfolio:', error);
     res.status(500).json({ 
@@ -151,4 +162,68 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// GET /api/public/portfolios/:id/resume.json - The published portfolio as a JSON Resume (no auth required)
+router.get('/:id/resume.json', async (req, res) => {
+  try {
+    const doc = await portfoliosCollection.doc(req.params.id).get();
+
+    if (!doc.exists || !isPublished(doc.data())) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const portfolio = doc.data();
+    const owner = presentOwner(await getOwner(portfolio.userId));
+
+    res.json(toJsonResume(portfolio, owner));
+  } catch (error) {
+    console.error('Error building JSON Resume:', error);
+    res.status(500).json({
+      message: 'Failed to build résumé',
+      error: error.message
+    });
+  }
+});
+
+// GET /api/public/portfolios/:id/contact.vcf - The published portfolio's contact card (no auth required)
+router.get('/:id/contact.vcf', async (req, res) => {
+  try {
+    const doc = await portfoliosCollection.doc(req.params.id).get();
+
+    if (!doc.exists || !isPublished(doc.data())) {
+      return res.status(404).json({ message: 'Portfolio not found' });
+    }
+
+    const portfolio = doc.data();
+    const owner = presentOwner(await getOwner(portfolio.userId));
+
+    res.attachment(`${portfolio.slug || doc.id}.vcf`);
+    res.type('text/vcard; charset=utf-8');
+    res.send(toVCard(portfolio, owner));
+  } catch (error) {
+    console.error('Error building vCard:', error);
+    res.status(500).json({
+      message: 'Failed to build contact card',
+      error: error.message
+    });
+  }
+});
+
+// Helper function to record an anonymous view and reflect it in the response
+async function countView(req, portfolio) {
+  const { counted } = await recordView({
+    portfolioId: portfolio.id,
+    viewer: viewerFromRequest(req),
+    referrer: referrerFromRequest(req)
+  });
+  return counted ? { ...portfolio, views: (portfolio.views || 0) + 1 } : portfolio;
+}
+
+// Helper function to attach owner details to a portfolio
+async function withOwner(portfolio) {
+  return {
+    ...portfolio,
+    owner: presentOwner(await getOwner(portfolio.userId))
+  };
+}
+
 module.exports = router;
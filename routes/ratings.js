@@ -1,12 +1,21 @@
 // routes/ratings.js - Updated with separate public and protected routes
 const express = require('express');
 const { admin } = require('../config/firebase');
+const { getOwners, getOwner, toRaterSummary } = require('../services/owners');
+const { isPublished } = require('../utils/portfolioViews');
+const { applyRatingChange } = require('../utils/ratingAggregates');
+const { MODERATION_STATUS, screenReview, isApproved } = require('../utils/moderation');
+const { REPORT_REASONS, reportReview } = require('../services/reviewModeration');
 const router = express.Router();
 
 const db = admin.firestore();
 const ratingsCollection = db.collection('ratings');
 const portfoliosCollection = db.collection('portfolios');
 
+const MAX_REVIEW_LENGTH = 2000;
+const MAX_REPLY_LENGTH = 1000;
+const MAX_REPORT_DETAILS_LENGTH = 500;
+
 // Middleware to check if route is public or protected
 const isPublicRoute = (req) => {
   return req.originalUrl.includes('/api/public/ratings');
@@ -28,87 +37,73 @@ router.post('/', async (req, res) => {
       return res.status(400).json({ message: 'Portfolio ID and rating are required' });
     }
 
-    if (rating < 1 || rating > 5) {
-      return res.status(400).json({ message: 'Rating must be between 1 and 5' });
+    if (!Number.isInteger(rating) || rating < 1 || rating > 5) {
+      return res.status(400).json({ message: 'Rating must be a whole number between 1 and 5' });
     }
 
-    // Check if portfolio exists
-    const portfolioDoc = await portfoliosCollection.doc(portfolioId).get();
-    if (!portfolioDoc.exists) {
-      return res.status(404).json({ message: 'Portfolio not found' });
+    if (review !== undefined && review !== null && (typeof review !== 'string' || review.length > MAX_REVIEW_LENGTH)) {
+      return res.status(400).json({ message: `Review must be text of at most ${MAX_REVIEW_LENGTH} characters` });
     }
 
-    const portfolio = portfolioDoc.data();
+    const portfolioRef = portfoliosCollection.doc(portfolioId);
+    const ratingRef = ratingsCollection.doc(ratingIdFor(portfolioId, userId));
 
-    // Prevent users from rating their own portfolio
-    if (portfolio.userId === userId) {
-      return res.status(403).json({ message: 'Cannot rate your own portfolio' });
-    }
+    // Write the rating and adjust the portfolio aggregates atomically
+    const { isUpdate, moderationStatus } = await db.runTransaction(async (transaction) => {
+      const [portfolioDoc, ratingDoc, legacySnapshot] = await Promise.all([
+        transaction.get(portfolioRef),
+        transaction.get(ratingRef),
+        transaction.get(legacyRatingQuery(portfolioId, userId))
+      ]);
 
-    // Check if user has already rated this portfolio
-    const existingRatingQuery = await ratingsCollection
-      .where('portfolioId', '==', portfolioId)
-      .where('userId', '==', userId)
-      .limit(1)
-      .get();
+      if (!portfolioDoc.exists || !isPublished(portfolioDoc.data())) {
+        throw ratingError(404, 'Portfolio not found');
+      }
 
-    let ratingDoc;
-    let isUpdate = false;
+      // Prevent users from rating their own portfolio
+      if (portfolioDoc.data().userId === userId) {
+        throw ratingError(403, 'Cannot rate your own portfolio');
+      }
 
-    if (!existingRatingQuery.empty) {
-      // Update existing rating
-      ratingDoc = existingRatingQuery.docs[0];
-      isUpdate = true;
-      
-      await ratingDoc.ref.update({
-        rating,
-        review: review || null,
-        updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      });
-    } else {
-      // Create new rating
-      const newRating = {
+      // Ratings saved before deterministic ids are folded into the new document
+      const legacyDocs = legacySnapshot.docs.filter(doc => doc.id !== ratingRef.id);
+      const previous = ratingDoc.exists ? ratingDoc.data() : (legacyDocs[0] ? legacyDocs[0].data() : null);
+
+      legacyDocs.forEach(doc => transaction.delete(doc.ref));
+
+      // Screen the review; an edit to a hidden or rejected review goes back to a moderator
+      const screening = screenReview(review);
+      const wasTakenDown = previous && [MODERATION_STATUS.HIDDEN, MODERATION_STATUS.REJECTED].includes(previous.moderationStatus);
+      const status = wasTakenDown ? MODERATION_STATUS.PENDING : screening.status;
+      const reasons = wasTakenDown ? [...screening.reasons, 'edited'] : screening.reasons;
+
+      // Merge so an edit keeps the owner's reply and the helpful votes
+      transaction.set(ratingRef, {
         portfolioId,
         userId,
         rating,
         review: review || null,
-        createdAt: admin.firestore.FieldValue.serverTimestamp(),
+        moderationStatus: status,
+        moderationReasons: reasons,
+        createdAt: previous?.createdAt || admin.firestore.FieldValue.serverTimestamp(),
         updatedAt: admin.firestore.FieldValue.serverTimestamp()
-      };
+      }, { merge: true });
 
-      ratingDoc = await ratingsCollection.add(newRating);
-    }
+      // Only approved ratings count towards the aggregates
+      transaction.update(portfolioRef, applyRatingChange(portfolioDoc.data(), {
+        before: previous && isApproved(previous) ? previous.rating : null,
+        after: status === MODERATION_STATUS.APPROVED ? rating : null
+      }));
 
-    // Update portfolio rating statistics
-    await updatePortfolioRatingStats(portfolioId);
+      return { isUpdate: Boolean(previous), moderationStatus: status };
+    });
 
     // Get the created/updated rating with user info
-    const updatedRatingDoc = isUpdate ? ratingDoc : await ratingDoc.get();
+    const updatedRatingDoc = await ratingRef.get();
     const ratingData = updatedRatingDoc.data();
 
     // Get user info
-    const userDoc = await db.collection('users').doc(userId).get();
-    let userInfo = {};
-    if (userDoc.exists) {
-      const userData = userDoc.data();
-      userInfo = {
-        displayName: userData.displayName,
-        photoURL: userData.photoURL
-      };
-    } else {
-      try {
-        const userRecord = await admin.auth().getUser(userId);
-        userInfo = {
-          displayName: userRecord.displayName || 'Anonymous User',
-          photoURL: userRecord.photoURL
-        };
-      } catch (error) {
-        userInfo = {
-          displayName: 'Anonymous User',
-          photoURL: null
-        };
-      }
-    }
+    const userInfo = toRaterSummary(await getOwner(userId));
 
     const responseRating = {
       id: updatedRatingDoc.id,
@@ -116,12 +111,20 @@ router.post('/', async (req, res) => {
       user: userInfo
     };
 
+    const message = moderationStatus === MODERATION_STATUS.PENDING
+      ? 'Rating saved - your review will be visible once a moderator approves it'
+      : (isUpdate ? 'Rating updated successfully' : 'Rating added successfully');
+
     res.status(isUpdate ? 200 : 201).json({
-      message: isUpdate ? 'Rating updated successfully' : 'Rating added successfully',
+      message,
       rating: responseRating
     });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
     console.error('Error adding/updating rating:', error);
     res.status(500).json({ 
       message: 'Failed to add/update rating',
@@ -143,8 +146,9 @@ router.get('/portfolio/:portfolioId', async (req, res) => {
     let query = ratingsCollection.where('portfolioId', '==', portfolioId);
 
     const snapshot = await query.get();
+    const visibleDocs = snapshot.docs.filter(doc => isVisibleTo(doc.data(), req.user));
     
-    if (snapshot.empty) {
+    if (visibleDocs.length === 0) {
       return res.json({
         ratings: [],
         pagination: {
@@ -160,7 +164,7 @@ router.get('/portfolio/:portfolioId', async (req, res) => {
     const allRatings = [];
     const userIds = new Set();
 
-    snapshot.forEach(doc => {
+    visibleDocs.forEach(doc => {
       const ratingData = doc.data();
       allRatings.push({
         id: doc.id,
@@ -172,65 +176,25 @@ router.get('/portfolio/:portfolioId', async (req, res) => {
     });
 
     // Sort in memory
-    allRatings.sort((a, b) => {
-      if (sortBy === 'createdAt') {
-        return sortOrder === 'desc' ? b.createdAtMs - a.createdAtMs : a.createdAtMs - b.createdAtMs;
-      } else if (sortBy === 'rating') {
-        return sortOrder === 'desc' ? b.rating - a.rating : a.rating - b.rating;
-      }
-      return 0;
-    });
+    allRatings.sort(compareRatings(sortBy, sortOrder));
 
-    // Get user information for all raters
-    const userPromises = Array.from(userIds).map(async (uid) => {
-      try {
-        const userDoc = await db.collection('users').doc(uid).get();
-        if (userDoc.exists) {
-          const userData = userDoc.data();
-          return {
-            uid,
-            displayName: userData.displayName,
-            photoURL: userData.photoURL
-          };
-        }
-        
-        const userRecord = await admin.auth().getUser(uid);
-        return {
-          uid,
-          displayName: userRecord.displayName || 'Anonymous User',
-          photoURL: userRecord.photoURL
-        };
-      } catch (error) {
-        return {
-          uid,
-          displayName: 'Anonymous User',
-          photoURL: null
-        };
-      }
-    });
+    // Apply pagination
+    const offset = (pageNum - 1) * limitNum;
+    const pageRatings = allRatings.slice(offset, offset + limitNum);
 
-    const users = await Promise.all(userPromises);
-    const userMap = users.reduce((acc, user) => {
-      acc[user.uid] = user;
-      return acc;
-    }, {});
+    // Get user information for all raters in one batch
+    const owners = await getOwners(Array.from(userIds));
+    const votedIds = await getHelpfulVotes(pageRatings, req.user && req.user.uid);
 
     // Add user info to ratings and remove the temporary createdAtMs field
-    const ratingsWithUsers = allRatings.map(rating => {
+    const paginatedRatings = pageRatings.map(rating => {
       const { createdAtMs, ...cleanRating } = rating;
       return {
-        ...cleanRating,
-        user: {
-          displayName: userMap[rating.userId]?.displayName || 'Anonymous User',
-          photoURL: userMap[rating.userId]?.photoURL || null
-        }
+        ...toRatingResponse(cleanRating, votedIds),
+        user: toRaterSummary(owners.get(rating.userId))
       };
     });
 
-    // Apply pagination
-    const offset = (pageNum - 1) * limitNum;
-    const paginatedRatings = ratingsWithUsers.slice(offset, offset + limitNum);
-
     res.json({
       ratings: paginatedRatings,
       pagination: {
@@ -287,12 +251,12 @@ router.get('/portfolio/:portfolioId/alternative', async (req, res) => {
       .where('portfolioId', '==', portfolioId)
       .get();
     
-    const totalRatings = countSnapshot.size;
+    const totalRatings = countSnapshot.docs.filter(doc => isVisibleTo(doc.data(), req.user)).length;
 
     const allRatings = [];
     const userIds = new Set();
 
-    snapshot.forEach(doc => {
+    snapshot.docs.filter(doc => isVisibleTo(doc.data(), req.user)).forEach(doc => {
       const ratingData = doc.data();
       allRatings.push({
         id: doc.id,
@@ -303,53 +267,21 @@ router.get('/portfolio/:portfolioId/alternative', async (req, res) => {
     });
 
     // Sort and paginate
-    allRatings.sort((a, b) => {
-      if (sortBy === 'createdAt') {
-        return sortOrder === 'desc' ? b.createdAtMs - a.createdAtMs : a.createdAtMs - b.createdAtMs;
-      } else if (sortBy === 'rating') {
-        return sortOrder === 'desc' ? b.rating - a.rating : a.rating - b.rating;
-      }
-      return 0;
-    });
+    allRatings.sort(compareRatings(sortBy, sortOrder));
 
     const offset = (pageNum - 1) * limitNum;
     const pageRatings = allRatings.slice(offset, offset + limitNum);
 
-    // Get user information
-    const userPromises = Array.from(userIds).map(async (uid) => {
-      try {
-        const userDoc = await db.collection('users').doc(uid).get();
-        if (userDoc.exists) {
-          const userData = userDoc.data();
-          return { uid, displayName: userData.displayName, photoURL: userData.photoURL };
-        }
-        
-        const userRecord = await admin.auth().getUser(uid);
-        return {
-          uid,
-          displayName: userRecord.displayName || 'Anonymous User',
-          photoURL: userRecord.photoURL
-        };
-      } catch (error) {
-        return { uid, displayName: 'Anonymous User', photoURL: null };
-      }
-    });
-
-    const users = await Promise.all(userPromises);
-    const userMap = users.reduce((acc, user) => {
-      acc[user.uid] = user;
-      return acc;
-    }, {});
+    // Get user information in one batch
+    const owners = await getOwners(Array.from(userIds));
+    const votedIds = await getHelpfulVotes(pageRatings, req.user && req.user.uid);
 
     // Final ratings with user info
     const finalRatings = pageRatings.map(rating => {
       const { createdAtMs, ...cleanRating } = rating;
       return {
-        ...cleanRating,
-        user: {
-          displayName: userMap[rating.userId]?.displayName || 'Anonymous User',
-          photoURL: userMap[rating.userId]?.photoURL || null
-        }
+        ...toRatingResponse(cleanRating, votedIds),
+        user: toRaterSummary(owners.get(rating.userId))
       };
     });
 
@@ -384,17 +316,17 @@ router.get('/my/:portfolioId', async (req, res) => {
     const userId = req.user.uid;
     const { portfolioId } = req.params;
 
-    const snapshot = await ratingsCollection
-      .where('portfolioId', '==', portfolioId)
-      .where('userId', '==', userId)
-      .limit(1)
-      .get();
+    let doc = await ratingsCollection.doc(ratingIdFor(portfolioId, userId)).get();
 
-    if (snapshot.empty) {
-      return res.json({ hasRated: false, rating: null });
+    // Fall back to ratings saved before deterministic ids
+    if (!doc.exists) {
+      const snapshot = await legacyRatingQuery(portfolioId, userId).get();
+      if (snapshot.empty) {
+        return res.json({ hasRated: false, rating: null });
+      }
+      doc = snapshot.docs[0];
     }
 
-    const doc = snapshot.docs[0];
     const rating = { id: doc.id, ...doc.data() };
 
     res.json({ hasRated: true, rating });
@@ -419,28 +351,45 @@ router.delete('/:id', async (req, res) => {
     const userId = req.user.uid;
     const { id } = req.params;
 
-    const doc = await ratingsCollection.doc(id).get();
-    
-    if (!doc.exists) {
-      return res.status(404).json({ message: 'Rating not found' });
-    }
+    const ratingRef = ratingsCollection.doc(id);
 
-    const rating = doc.data();
-    
-    if (rating.userId !== userId) {
-      return res.status(403).json({ 
-        message: 'Access denied - You can only delete your own ratings' 
-      });
-    }
+    // Remove the rating and adjust the portfolio aggregates atomically
+    await db.runTransaction(async (transaction) => {
+      const doc = await transaction.get(ratingRef);
 
-    await ratingsCollection.doc(id).delete();
+      if (!doc.exists) {
+        throw ratingError(404, 'Rating not found');
+      }
 
-    // Update portfolio rating statistics
-    await updatePortfolioRatingStats(rating.portfolioId);
+      const rating = doc.data();
+
+      if (rating.userId !== userId) {
+        throw ratingError(403, 'Access denied - You can only delete your own ratings');
+      }
+
+      const portfolioRef = portfoliosCollection.doc(rating.portfolioId);
+      const portfolioDoc = await transaction.get(portfolioRef);
+
+      transaction.delete(ratingRef);
+
+      if (portfolioDoc.exists) {
+        transaction.update(portfolioRef, applyRatingChange(portfolioDoc.data(), {
+          before: isApproved(rating) ? rating.rating : null,
+          after: null
+        }));
+      }
+    });
+
+    // Votes and reports live in subcollections, which deleting the rating leaves behind
+    await db.recursiveDelete(ratingRef);
 
     res.json({ message: 'Rating deleted successfully' });
 
   } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
     console.error('Error deleting rating:', error);
     res.status(500).json({ 
       message: 'Failed to delete rating',
@@ -449,53 +398,322 @@ router.delete('/:id', async (req, res) => {
   }
 });
 
-// Helper function to update portfolio rating statistics
-async function updatePortfolioRatingStats(portfolioId) {
+// PUT /api/ratings/:id/reply - Add or edit the portfolio owner's reply to a review (PROTECTED)
+router.put('/:id/reply', async (req, res) => {
+  // This route is only accessible via /api/ratings (protected)
+  if (isPublicRoute(req)) {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+
   try {
-    const ratingsSnapshot = await ratingsCollection
-      .where('portfolioId', '==', portfolioId)
-      .get();
+    const userId = req.user.uid;
+    const { id } = req.params;
+    const text = typeof req.body.text === 'string' ? req.body.text.trim() : '';
 
-    if (ratingsSnapshot.empty) {
-      // No ratings, reset stats
-      await portfoliosCollection.doc(portfolioId).update({
-        averageRating: 0,
-        totalRatings: 0,
-        ratingDistribution: {
-          1: 0,
-          2: 0,
-          3: 0,
-          4: 0,
-          5: 0
-        }
-      });
-      return;
+    if (!text) {
+      return res.status(400).json({ message: 'Reply text is required' });
+    }
+
+    if (text.length > MAX_REPLY_LENGTH) {
+      return res.status(400).json({ message: `Reply must be at most ${MAX_REPLY_LENGTH} characters` });
+    }
+
+    const ratingRef = ratingsCollection.doc(id);
+
+    const ownerReply = await db.runTransaction(async (transaction) => {
+      const rating = await getRatingForPortfolioOwner(transaction, ratingRef, userId);
+      const now = admin.firestore.Timestamp.now();
+
+      // One reply per review; replying again edits it
+      const reply = {
+        text,
+        createdAt: rating.ownerReply?.createdAt || now,
+        updatedAt: now
+      };
+
+      transaction.update(ratingRef, { ownerReply: reply });
+      return reply;
+    });
+
+    res.json({ message: 'Reply saved successfully', ownerReply });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    console.error('Error saving reply:', error);
+    res.status(500).json({ 
+      message: 'Failed to save reply',
+      error: error.message 
+    });
+  }
+});
+
+// DELETE /api/ratings/:id/reply - Remove the portfolio owner's reply (PROTECTED)
+router.delete('/:id/reply', async (req, res) => {
+  // This route is only accessible via /api/ratings (protected)
+  if (isPublicRoute(req)) {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const ratingRef = ratingsCollection.doc(req.params.id);
+
+    await db.runTransaction(async (transaction) => {
+      await getRatingForPortfolioOwner(transaction, ratingRef, userId);
+      transaction.update(ratingRef, { ownerReply: admin.firestore.FieldValue.delete() });
+    });
+
+    res.json({ message: 'Reply deleted successfully' });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
     }
 
-    let totalRating = 0;
-    let totalRatings = 0;
-    const distribution = { 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 };
+    console.error('Error deleting reply:', error);
+    res.status(500).json({ 
+      message: 'Failed to delete reply',
+      error: error.message 
+    });
+  }
+});
+
+// POST /api/ratings/:id/helpful - Mark a review as helpful (PROTECTED)
+router.post('/:id/helpful', async (req, res) => {
+  // This route is only accessible via /api/ratings (protected)
+  if (isPublicRoute(req)) {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const ratingRef = ratingsCollection.doc(req.params.id);
+    const voteRef = ratingRef.collection('helpfulVotes').doc(userId);
+
+    const helpfulCount = await db.runTransaction(async (transaction) => {
+      const [ratingDoc, voteDoc] = await Promise.all([
+        transaction.get(ratingRef),
+        transaction.get(voteRef)
+      ]);
+
+      if (!ratingDoc.exists) {
+        throw ratingError(404, 'Rating not found');
+      }
+
+      const rating = ratingDoc.data();
+      const count = rating.helpfulCount || 0;
+
+      if (!isApproved(rating)) {
+        throw ratingError(404, 'Rating not found');
+      }
+
+      if (rating.userId === userId) {
+        throw ratingError(403, 'Cannot vote on your own review');
+      }
+
+      // One vote per user; voting again changes nothing
+      if (voteDoc.exists) {
+        return count;
+      }
+
+      transaction.create(voteRef, { createdAt: admin.firestore.FieldValue.serverTimestamp() });
+      transaction.update(ratingRef, { helpfulCount: admin.firestore.FieldValue.increment(1) });
+      return count + 1;
+    });
+
+    res.json({ message: 'Review marked as helpful', helpfulCount, votedHelpful: true });
+
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
 
-    ratingsSnapshot.forEach(doc => {
-      const rating = doc.data().rating;
-      totalRating += rating;
-      totalRatings++;
-      distribution[rating]++;
+    console.error('Error voting on review:', error);
+    res.status(500).json({ 
+      message: 'Failed to mark review as helpful',
+      error: error.message 
     });
+  }
+});
+
+// DELETE /api/ratings/:id/helpful - Take back a helpful vote (PROTECTED)
+router.delete('/:id/helpful', async (req, res) => {
+  // This route is only accessible via /api/ratings (protected)
+  if (isPublicRoute(req)) {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const ratingRef = ratingsCollection.doc(req.params.id);
+    const voteRef = ratingRef.collection('helpfulVotes').doc(userId);
 
-    const averageRating = totalRating / totalRatings;
+    const helpfulCount = await db.runTransaction(async (transaction) => {
+      const [ratingDoc, voteDoc] = await Promise.all([
+        transaction.get(ratingRef),
+        transaction.get(voteRef)
+      ]);
 
-    await portfoliosCollection.doc(portfolioId).update({
-      averageRating: Math.round(averageRating * 10) / 10, // Round to 1 decimal place
-      totalRatings,
-      ratingDistribution: distribution,
-      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+      if (!ratingDoc.exists) {
+        throw ratingError(404, 'Rating not found');
+      }
+
+      const count = ratingDoc.data().helpfulCount || 0;
+
+      if (!voteDoc.exists) {
+        return count;
+      }
+
+      transaction.delete(voteRef);
+      transaction.update(ratingRef, { helpfulCount: admin.firestore.FieldValue.increment(-1) });
+      return Math.max(0, count - 1);
     });
 
+    res.json({ message: 'Helpful vote removed', helpfulCount, votedHelpful: false });
+
   } catch (error) {
-    console.error('Error updating portfolio rating stats:', error);
-    throw error;
+    if (error.status) {
+      return res.status(error.status).json({ message: error.message });
+    }
+
+    console.error('Error removing helpful vote:', error);
+    res.status(500).json({ 
+      message: 'Failed to remove helpful vote',
+      error: error.message 
+    });
   }
+});
+
+// POST /api/ratings/:id/report - Report a review to the moderators (PROTECTED)
+router.post('/:id/report', async (req, res) => {
+  // This route is only accessible via /api/ratings (protected)
+  if (isPublicRoute(req)) {
+    return res.status(404).json({ message: 'Route not found' });
+  }
+
+  try {
+    const userId = req.user.uid;
+    const { reason, details } = req.body;
+
+    if (!REPORT_REASONS.includes(reason)) {
+      return res.status(400).json({ message: `Reason must be one of: ${REPORT_REASONS.join(', ')}` });
+    }
+
+    if (details !== undefined && details !== null && (typeof details !== 'string' || details.length > MAX_REPORT_DETAILS_LENGTH)) {
+      return res.status(400).json({ message: `Details must be text of at most ${MAX_REPORT_DETAILS_LENGTH} characters` });
+    }
+
+    const result = await reportReview(req.params.id, userId, { reason, details: details && details.trim() });
+
+    res.status(result.alreadyReported ? 200 : 201).json({
+      message: result.alreadyReported ? 'You have already reported this review' : 'Review reported - thank you',
+      reported: true
+    });
+
+  } catch (error) {
+    if (error.code === 'RATING_NOT_FOUND') {
+      return res.status(404).json({ message: error.message });
+    }
+
+    if (error.code === 'CANNOT_REPORT_OWN') {
+      return res.status(403).json({ message: error.message });
+    }
+
+    console.error('Error reporting review:', error);
+    res.status(500).json({ 
+      message: 'Failed to report review',
+      error: error.message 
+    });
+  }
+});
+
+// Ratings have one document per user and portfolio, so duplicates can't happen
+function ratingIdFor(portfolioId, userId) {
+  return `${portfolioId}_${userId}`;
+}
+
+// Ratings created before deterministic ids used random document ids
+function legacyRatingQuery(portfolioId, userId) {
+  return ratingsCollection
+    .where('portfolioId', '==', portfolioId)
+    .where('userId', '==', userId);
+}
+
+// Sort comparator for ?sortBy=createdAt|rating|helpful&sortOrder=asc|desc.
+// Ties on rating or helpfulness fall back to newest first.
+function compareRatings(sortBy, sortOrder) {
+  const direction = sortOrder === 'asc' ? 1 : -1;
+  const newestFirst = (a, b) => b.createdAtMs - a.createdAtMs;
+
+  if (sortBy === 'rating') {
+    return (a, b) => direction * (a.rating - b.rating) || newestFirst(a, b);
+  }
+  if (sortBy === 'helpful') {
+    return (a, b) => direction * ((a.helpfulCount || 0) - (b.helpfulCount || 0)) || newestFirst(a, b);
+  }
+  if (sortBy === 'createdAt') {
+    return (a, b) => direction * (a.createdAtMs - b.createdAtMs);
+  }
+  return () => 0;
+}
+
+// Only approved reviews are listed, apart from the viewer's own
+function isVisibleTo(rating, user) {
+  return isApproved(rating) || Boolean(user && rating.userId === user.uid);
+}
+
+// Ids of the given ratings the user has marked as helpful
+async function getHelpfulVotes(ratings, userId) {
+  if (!userId || ratings.length === 0) {
+    return new Set();
+  }
+
+  const votes = await db.getAll(...ratings.map(rating => {
+    return ratingsCollection.doc(rating.id).collection('helpfulVotes').doc(userId);
+  }));
+
+  return new Set(votes.filter(vote => vote.exists).map(vote => vote.ref.parent.parent.id));
+}
+
+// Fill in reply and vote fields that older ratings don't have, and leave out
+// moderation details that are only for moderators
+function toRatingResponse(rating, votedIds) {
+  const { reportCount, moderationReasons, moderatedBy, moderatedAt, moderationNote, ...publicRating } = rating;
+  return {
+    ...publicRating,
+    moderationStatus: rating.moderationStatus || MODERATION_STATUS.APPROVED,
+    ownerReply: rating.ownerReply || null,
+    helpfulCount: rating.helpfulCount || 0,
+    votedHelpful: votedIds.has(rating.id)
+  };
+}
+
+// Read a rating inside a transaction, checking that `userId` owns the rated portfolio
+async function getRatingForPortfolioOwner(transaction, ratingRef, userId) {
+  const ratingDoc = await transaction.get(ratingRef);
+
+  if (!ratingDoc.exists) {
+    throw ratingError(404, 'Rating not found');
+  }
+
+  const rating = ratingDoc.data();
+  const portfolioDoc = await transaction.get(portfoliosCollection.doc(rating.portfolioId));
+
+  if (!portfolioDoc.exists || portfolioDoc.data().userId !== userId) {
+    throw ratingError(403, 'Access denied - Only the portfolio owner can reply to reviews');
+  }
+
+  return rating;
+}
+
+// Error carrying the HTTP status to respond with
+function ratingError(status, message) {
+  const error = new Error(message);
+  error.status = status;
+  return error;
 }
 
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,22 @@
+// routes/templates.js - The portfolio templates (no authentication needed)
+const express = require('express');
+const { getTemplate, listTemplates } = require('../config/templates');
+const router = express.Router();
+
+// GET /api/templates - All templates with their sections, theme and limits
+router.get('/', (req, res) => {
+  res.json({ templates: listTemplates() });
+});
+
+// GET /api/templates/:id - One template
+router.get('/:id', (req, res) => {
+  const template = getTemplate(req.params.id);
+
+  if (!template) {
+    return res.status(404).json({ message: 'Template not found' });
+  }
+
+  res.json(template);
+});
+
+module.exports = router;
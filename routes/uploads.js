@@ -0,0 +1,152 @@
+// routes/uploads.js - Image uploads through the configured storage driver
+const express = require('express');
+const { upload } = require('../config/upload');
+const { uploadBatchLimiter } = require('../config/rateLimits');
+const { IMAGE_PURPOSES, getImagePreset } = require('../config/imagePresets');
+const { storage, buildResponsiveImage } = require('../storage');
+const { recordUpload, userFolder } = require('../services/assets');
+const { createUploadTickets, completeUploadTicket } = require('../services/uploadTickets');
+const validateImages = require('../middleware/imageValidation');
+const enforceStorageQuota = require('../middleware/storageQuota');
+const router = express.Router();
+
+const MAX_TICKETS = 10;
+
+// POST /api/upload - Upload one image (?purpose=avatar|hero|project|logo)
+router.post('/', upload.single('image'), validateImages, enforceStorageQuota, async (req, res) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    const preset = getImagePreset(req.query.purpose);
+    if (!preset) {
+      return res.status(400).json({ message: `Purpose must be one of: ${IMAGE_PURPOSES.join(', ')}` });
+    }
+
+    const result = await storeImage(req.user.uid, req.file, preset);
+
+    res.json({
+      message: 'File uploaded successfully',
+      ...toUploadResponse(result, preset)
+    });
+  } catch (error) {
+    console.error('File upload error:', error);
+    res.status(500).json({ 
+      message: 'File upload failed', 
+      error: error.message 
+    });
+  }
+});
+
+// POST /api/upload/multiple - Upload up to 10 images (?purpose= applies to all)
+router.post('/multiple', upload.array('images', 10), uploadBatchLimiter, validateImages, enforceStorageQuota, async (req, res) => {
+  try {
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({ message: 'No files uploaded' });
+    }
+
+    const preset = getImagePreset(req.query.purpose);
+    if (!preset) {
+      return res.status(400).json({ message: `Purpose must be one of: ${IMAGE_PURPOSES.join(', ')}` });
+    }
+
+    const results = await Promise.all(req.files.map(file => storeImage(req.user.uid, file, preset)));
+
+    res.json({
+      message: 'Files uploaded successfully',
+      files: results.map(result => toUploadResponse(result, preset))
+    });
+  } catch (error) {
+    console.error('Multiple file upload error:', error);
+    res.status(500).json({ 
+      message: 'File upload failed', 
+      error: error.message 
+    });
+  }
+});
+
+// POST /api/upload/sign - Signed tickets for uploading straight to storage ({ purpose, count })
+router.post('/sign', uploadBatchLimiter, async (req, res) => {
+  try {
+    const preset = getImagePreset(req.body.purpose);
+    if (!preset) {
+      return res.status(400).json({ message: `Purpose must be one of: ${IMAGE_PURPOSES.join(', ')}` });
+    }
+
+    const count = req.body.count === undefined ? 1 : Number(req.body.count);
+    if (!Number.isInteger(count) || count < 1 || count > MAX_TICKETS) {
+      return res.status(400).json({ message: `Count must be between 1 and ${MAX_TICKETS}` });
+    }
+
+    const tickets = await createUploadTickets(req.user.uid, preset, count);
+
+    res.status(201).json({ tickets });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(toRejection(error));
+    }
+
+    console.error('Upload signing error:', error);
+    res.status(500).json({
+      message: 'Failed to sign upload',
+      error: error.message
+    });
+  }
+});
+
+// POST /api/upload/complete - Register a file uploaded with a ticket ({ ticket })
+router.post('/complete', async (req, res) => {
+  try {
+    const { result, purpose } = await completeUploadTicket(req.user.uid, req.body.ticket);
+
+    res.json({
+      message: 'File uploaded successfully',
+      ...toUploadResponse(result, getImagePreset(purpose))
+    });
+  } catch (error) {
+    if (error.status) {
+      return res.status(error.status).json(toRejection(error));
+    }
+
+    console.error('Upload completion error:', error);
+    res.status(500).json({
+      message: 'Failed to complete upload',
+      error: error.message
+    });
+  }
+});
+
+// Store one file, cropped for the purpose, and track it so it can be cleaned
+// up once nothing uses it
+async function storeImage(userId, file, preset) {
+  const result = await storage.upload(file.buffer, {
+    folder: userFolder(userId),
+    publicId: `${Date.now()}-${Math.round(Math.random() * 1E9)}`,
+    preset
+  });
+
+  await recordUpload(userId, result, { purpose: preset.purpose });
+  return result;
+}
+
+function toUploadResponse(result, preset) {
+  return {
+    url: result.url,
+    publicId: result.publicId,
+    width: result.width,
+    height: result.height,
+    purpose: preset.purpose,
+    ...buildResponsiveImage(result, preset)
+  };
+}
+
+function toRejection(error) {
+  return {
+    message: error.message,
+    code: error.code,
+    ...(error.quotaBytes ? { usedBytes: error.usedBytes, quotaBytes: error.quotaBytes } : {})
+  };
+}
+
+module.exports = router;
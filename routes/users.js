@@ -1,10 +1,24 @@
 // routes/users.js
 const express = require('express');
 const { admin } = require('../config/firebase');
+const { invalidateOwner, getPrivacy, DEFAULT_PRIVACY } = require('../services/owners');
+const { indexPortfolio } = require('../services/searchIndex');
+const { validate } = require('../utils/schema');
 const router = express.Router();
 
 const db = admin.firestore();
 const usersCollection = db.collection('users');
+const portfoliosCollection = db.collection('portfolios');
+
+const privacySchema = {
+  type: 'object',
+  properties: {
+    showEmail: { type: 'boolean' },
+    showPhone: { type: 'boolean' },
+    showPhoto: { type: 'boolean' },
+    hiddenFromDirectory: { type: 'boolean' }
+  }
+};
 
 // GET /api/users/profile - Get current user's profile
 router.get('/profile', async (req, res) => {
@@ -19,14 +33,16 @@ router.get('/profile', async (req, res) => {
         email: userRecord.email,
         displayName: userRecord.displayName || 'Anonymous User',
         photoURL: userRecord.photoURL || null,
+        privacy: { ...DEFAULT_PRIVACY },
         createdAt: admin.firestore.FieldValue.serverTimestamp(),
       };
       
       await usersCollection.doc(req.user.uid).set(initialProfile);
+      invalidateOwner(req.user.uid);
       return res.json(initialProfile);
     }
 
-    res.json({ id: userDoc.id, ...userDoc.data() });
+    res.json({ id: userDoc.id, ...userDoc.data(), privacy: getPrivacy(userDoc.data()) });
   } catch (error) {
     console.error('Error fetching user profile:', error);
     res.status(500).json({ message: 'Failed to fetch user profile' });
@@ -39,6 +55,15 @@ router.put('/profile', async (req, res) => {
     const userId = req.user.uid;
     const { displayName, photoURL } = req.body;
 
+    let privacyUpdate = null;
+    if (req.body.privacy !== undefined) {
+      const { value, errors } = validate(privacySchema, req.body.privacy, 'privacy');
+      if (errors.length > 0) {
+        return res.status(400).json({ message: 'Validation failed', errors });
+      }
+      privacyUpdate = value;
+    }
+
     // Update Firebase Auth
     const authUpdatePayload = {};
     if (displayName) authUpdatePayload.displayName = displayName;
@@ -57,8 +82,23 @@ router.put('/profile', async (req, res) => {
     if (displayName) firestoreUpdatePayload.displayName = displayName;
     if (photoURL) firestoreUpdatePayload.photoURL = photoURL;
 
+    let previousPrivacy = null;
+    if (privacyUpdate) {
+      const userDoc = await usersCollection.doc(userId).get();
+      previousPrivacy = getPrivacy(userDoc.exists ? userDoc.data() : {});
+      firestoreUpdatePayload.privacy = { ...previousPrivacy, ...privacyUpdate };
+    }
+
     await usersCollection.doc(userId).set(firestoreUpdatePayload, { merge: true });
 
+    // Keep the directory in step with the hidden-from-directory setting
+    if (previousPrivacy && previousPrivacy.hiddenFromDirectory !== firestoreUpdatePayload.privacy.hiddenFromDirectory) {
+      await updateDirectoryVisibility(userId, firestoreUpdatePayload.privacy.hiddenFromDirectory);
+    }
+
+    // Drop the cached owner profile so the change shows up right away
+    invalidateOwner(userId);
+
     res.json({ message: 'Profile updated successfully', profile: firestoreUpdatePayload });
   } catch (error) {
     console.error('Error updating profile:', error);
@@ -66,4 +106,17 @@ router.put('/profile', async (req, res) => {
   }
 });
 
+// Helper function to copy a user's hidden-from-directory setting onto their portfolios
+async function updateDirectoryVisibility(userId, hidden) {
+  const snapshot = await portfoliosCollection.where('userId', '==', userId).get();
+
+  if (snapshot.empty) return;
+
+  const batch = db.batch();
+  snapshot.forEach(doc => batch.update(doc.ref, { ownerHidden: hidden }));
+  await batch.commit();
+
+  snapshot.forEach(doc => indexPortfolio(doc.id, { ...doc.data(), ownerHidden: hidden }));
+}
+
 module.exports = router;
\ No newline at end of file
@@ -0,0 +1,58 @@
+// scripts/backfill-portfolio-index.js
+// Rebuild the normalized listing fields (skillsNormalized, roleKeywords) for
+// every portfolio from its published content, and copy each owner's
+// hidden-from-directory setting onto their portfolios (ownerHidden).
+//
+// Usage: npm run backfill:index
+require('dotenv').config();
+const { initializeFirebase } = require('../config/firebase');
+
+const admin = initializeFirebase();
+const { buildIndexFields } = require('../utils/portfolioIndex');
+const { getOwners } = require('../services/owners');
+
+const BATCH_SIZE = 300;
+
+const run = async () => {
+  const db = admin.firestore();
+  const portfoliosCollection = db.collection('portfolios');
+  let lastDoc = null;
+  let updated = 0;
+
+  for (;;) {
+    let query = portfoliosCollection
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BATCH_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    const owners = await getOwners(snapshot.docs.map(doc => doc.get('userId')));
+
+    const batch = db.batch();
+    snapshot.forEach(doc => {
+      const owner = owners.get(doc.get('userId'));
+      batch.update(doc.ref, {
+        ...buildIndexFields(doc.data()),
+        ownerHidden: Boolean(owner && owner.privacy.hiddenFromDirectory)
+      });
+    });
+    await batch.commit();
+
+    updated += snapshot.size;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`Updated ${updated} portfolio(s)`);
+  }
+
+  console.log('Backfill complete');
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Backfill failed:', error);
+    process.exit(1);
+  });
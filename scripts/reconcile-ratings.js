@@ -0,0 +1,116 @@
+// scripts/reconcile-ratings.js
+// Recompute averageRating, totalRatings and ratingDistribution for every
+// portfolio from its approved rating documents.
+//
+// Ratings saved before deterministic ids (portfolioId_userId) are moved to
+// their new id first. If a user rated a portfolio more than once, the most
+// recently updated rating is kept.
+//
+// Usage: npm run reconcile:ratings
+require('dotenv').config();
+const { initializeFirebase } = require('../config/firebase');
+
+const admin = initializeFirebase();
+const { computeRatingStats } = require('../utils/ratingAggregates');
+const { isApproved } = require('../utils/moderation');
+
+const BATCH_SIZE = 300;
+
+const updatedAtMs = (rating) => {
+  const timestamp = rating.updatedAt || rating.createdAt;
+  return timestamp && timestamp.toMillis ? timestamp.toMillis() : 0;
+};
+
+// Move legacy ratings to deterministic ids. Returns portfolioId -> [stars].
+const migrateRatings = async (db) => {
+  const ratingsCollection = db.collection('ratings');
+  const snapshot = await ratingsCollection.get();
+
+  // deterministic id -> docs for that user and portfolio
+  const groups = new Map();
+  snapshot.forEach(doc => {
+    const { portfolioId, userId } = doc.data();
+    if (!portfolioId || !userId) return;
+    const id = `${portfolioId}_${userId}`;
+    groups.set(id, [...(groups.get(id) || []), doc]);
+  });
+
+  const ratingsByPortfolio = new Map();
+  let batch = db.batch();
+  let pending = 0;
+  let migrated = 0;
+
+  for (const [id, docs] of groups) {
+    const [keep, ...duplicates] = docs.sort((a, b) => updatedAtMs(b.data()) - updatedAtMs(a.data()));
+    const rating = keep.data();
+
+    // Reviews held for moderation don't count
+    if (isApproved(rating)) {
+      const portfolioRatings = ratingsByPortfolio.get(rating.portfolioId) || [];
+      portfolioRatings.push(rating.rating);
+      ratingsByPortfolio.set(rating.portfolioId, portfolioRatings);
+    }
+
+    if (keep.id === id && duplicates.length === 0) continue;
+
+    if (keep.id !== id) {
+      batch.set(ratingsCollection.doc(id), rating);
+    }
+    docs.filter(doc => doc.id !== id).forEach(doc => batch.delete(doc.ref));
+    pending += docs.length;
+    migrated++;
+
+    if (pending >= BATCH_SIZE) {
+      await batch.commit();
+      batch = db.batch();
+      pending = 0;
+    }
+  }
+
+  if (pending > 0) {
+    await batch.commit();
+  }
+
+  console.log(`Migrated ${migrated} rating(s) to deterministic ids`);
+  return ratingsByPortfolio;
+};
+
+const run = async () => {
+  const db = admin.firestore();
+  const portfoliosCollection = db.collection('portfolios');
+  const ratingsByPortfolio = await migrateRatings(db);
+  let lastDoc = null;
+  let updated = 0;
+
+  for (;;) {
+    let query = portfoliosCollection
+      .orderBy(admin.firestore.FieldPath.documentId())
+      .limit(BATCH_SIZE);
+    if (lastDoc) {
+      query = query.startAfter(lastDoc);
+    }
+
+    const snapshot = await query.get();
+    if (snapshot.empty) break;
+
+    // Portfolios without ratings are reset to zero
+    const batch = db.batch();
+    snapshot.forEach(doc => {
+      batch.update(doc.ref, computeRatingStats(ratingsByPortfolio.get(doc.id) || []));
+    });
+    await batch.commit();
+
+    updated += snapshot.size;
+    lastDoc = snapshot.docs[snapshot.docs.length - 1];
+    console.log(`Reconciled ${updated} portfolio(s)`);
+  }
+
+  console.log('Reconciliation complete');
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Reconciliation failed:', error);
+    process.exit(1);
+  });
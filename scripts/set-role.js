@@ -0,0 +1,42 @@
+// scripts/set-role.js
+// Grant or revoke a role through the user's `roles` custom claim.
+// The user has to sign in again (or refresh their ID token) to pick it up.
+//
+// Usage: npm run set-role -- <email|uid> <role> [--revoke]
+require('dotenv').config();
+const { initializeFirebase } = require('../config/firebase');
+
+const admin = initializeFirebase();
+const { ROLES } = require('../middleware/roles');
+
+const run = async () => {
+  const [identifier, role] = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+  const revoke = process.argv.includes('--revoke');
+
+  if (!identifier || !Object.values(ROLES).includes(role)) {
+    throw new Error(`Usage: set-role <email|uid> <${Object.values(ROLES).join('|')}> [--revoke]`);
+  }
+
+  const user = identifier.includes('@')
+    ? await admin.auth().getUserByEmail(identifier)
+    : await admin.auth().getUser(identifier);
+
+  const claims = user.customClaims || {};
+  const roles = new Set(Array.isArray(claims.roles) ? claims.roles : []);
+
+  if (revoke) {
+    roles.delete(role);
+  } else {
+    roles.add(role);
+  }
+
+  await admin.auth().setCustomUserClaims(user.uid, { ...claims, roles: Array.from(roles) });
+  console.log(`${user.email || user.uid} roles: ${Array.from(roles).join(', ') || '(none)'}`);
+};
+
+run()
+  .then(() => process.exit(0))
+  .catch(error => {
+    console.error('Setting role failed:', error.message);
+    process.exit(1);
+  });
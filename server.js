@@ -15,86 +15,45 @@ const portfolioRoutes = require('./routes/portfolios');
 const ratingRoutes = require('./routes/ratings');
 const userRoutes = require('./routes/users');
 const publicPortfolioRoutes = require('./routes/public-portfolios');
+const analyticsRoutes = require('./routes/analytics');
+const mediaRoutes = require('./routes/media');
+const uploadRoutes = require('./routes/uploads');
+const moderationRoutes = require('./routes/moderation');
+const adminRoutes = require('./routes/admin');
+const templateRoutes = require('./routes/templates');
 const authMiddleware = require('./middleware/auth');
-const { upload, uploadToCloudinary } = require('./config/cloudinary');
+const { ROLES, requireRole } = require('./middleware/roles');
+const {
+  publicLimiter,
+  apiLimiter,
+  writeLimiter,
+  ratingLimiter,
+  uploadLimiter
+} = require('./config/rateLimits');
+const { storage } = require('./storage');
+const { startScheduledPublishing } = require('./jobs/scheduledPublishing');
+const { startSearchIndexRefresh } = require('./jobs/searchIndexRefresh');
+const { startAssetSweep } = require('./jobs/assetSweep');
 
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Needed behind a proxy/load balancer so rate limits see the client IP
+if (process.env.TRUST_PROXY) {
+  app.set('trust proxy', parseInt(process.env.TRUST_PROXY) || process.env.TRUST_PROXY);
+}
+
 // Middleware
 app.use(helmet());
 app.use(morgan('combined'));
 app.use(cors({
   origin: process.env.FRONTEND_URL || 'http://localhost:3000',
-  credentials: true
+  credentials: true,
+  exposedHeaders: ['RateLimit-Limit', 'RateLimit-Remaining', 'RateLimit-Reset', 'Retry-After']
 }));
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true }));
 
-// Cloudinary image upload endpoint
-app.post('/api/upload', authMiddleware, upload.single('image'), async (req, res) => {
-  try {
-    if (!req.file) {
-      return res.status(400).json({ message: 'No file uploaded' });
-    }
-
-    // Upload to Cloudinary
-    const result = await uploadToCloudinary(req.file.buffer, {
-      folder: `portfolio-app/users/${req.user.uid}`,
-      public_id: `${Date.now()}-${Math.round(Math.random() * 1E9)}`
-    });
-
-    res.json({
-      message: 'File uploaded successfully',
-      url: result.url,
-      publicId: result.publicId,
-      width: result.width,
-      height: result.height
-    });
-  } catch (error) {
-    console.error('File upload error:', error);
-    res.status(500).json({ 
-      message: 'File upload failed', 
-      error: error.message 
-    });
-  }
-});
-
-// Multiple file upload endpoint
-app.post('/api/upload/multiple', authMiddleware, upload.array('images', 10), async (req, res) => {
-  try {
-    if (!req.files || req.files.length === 0) {
-      return res.status(400).json({ message: 'No files uploaded' });
-    }
-
-    // Upload all files to Cloudinary
-    const uploadPromises = req.files.map(file => 
-      uploadToCloudinary(file.buffer, {
-        folder: `portfolio-app/users/${req.user.uid}`,
-        public_id: `${Date.now()}-${Math.round(Math.random() * 1E9)}`
-      })
-    );
-
-    const results = await Promise.all(uploadPromises);
-
-    res.json({
-      message: 'Files uploaded successfully',
-      files: results.map(result => ({
-        url: result.url,
-        publicId: result.publicId,
-        width: result.width,
-        height: result.height
-      }))
-    });
-  } catch (error) {
-    console.error('Multiple file upload error:', error);
-    res.status(500).json({ 
-      message: 'File upload failed', 
-      error: error.message 
-    });
-  }
-});
-
 // Health check endpoint
 app.get('/health', (req, res) => {
   res.status(200).json({ 
@@ -104,55 +63,24 @@ app.get('/health', (req, res) => {
   });
 });
 
+// Uploaded files, when they are stored on the local disk
+if (storage.serve) {
+  app.use(storage.mountPath, storage.serve());
+}
+
 // API Routes
-app.use('/api/portfolios', authMiddleware, portfolioRoutes);
-app.use('/api/users', authMiddleware, userRoutes);
+app.use('/api/public', publicLimiter);
+app.use('/api/portfolios', authMiddleware, apiLimiter, writeLimiter, portfolioRoutes);
+app.use('/api/users', authMiddleware, apiLimiter, writeLimiter, userRoutes);
 app.use('/api/public/portfolios', publicPortfolioRoutes);
 app.use('/api/public/ratings', ratingRoutes);
-app.use('/api/ratings', authMiddleware, ratingRoutes);
-
-// Analytics endpoint for portfolio stats
-app.get('/api/analytics/stats', authMiddleware, async (req, res) => {
-  try {
-    const { admin } = require('./config/firebase');
-    const db = admin.firestore();
-    
-    // Get total portfolios count
-    const portfoliosSnapshot = await db.collection('portfolios').get();
-    const totalPortfolios = portfoliosSnapshot.size;
-    
-    // Get user's portfolio stats
-    const userPortfolioSnapshot = await db.collection('portfolios')
-      .where('userId', '==', req.user.uid)
-      .get();
-    
-    let userStats = {
-      hasPortfolio: false,
-      views: 0,
-      createdAt: null
-    };
-    
-    if (!userPortfolioSnapshot.empty) {
-      const userPortfolio = userPortfolioSnapshot.docs[0].data();
-      userStats = {
-        hasPortfolio: true,
-        views: userPortfolio.views || 0,
-        createdAt: userPortfolio.createdAt
-      };
-    }
-    
-    res.json({
-      totalPortfolios,
-      userStats
-    });
-  } catch (error) {
-    console.error('Analytics error:', error);
-    res.status(500).json({ 
-      message: 'Failed to fetch analytics',
-      error: error.message 
-    });
-  }
-});
+app.use('/api/templates', publicLimiter, templateRoutes);
+app.use('/api/ratings', authMiddleware, apiLimiter, ratingLimiter, writeLimiter, ratingRoutes);
+app.use('/api/analytics', authMiddleware, apiLimiter, analyticsRoutes);
+app.use('/api/media', authMiddleware, apiLimiter, writeLimiter, mediaRoutes);
+app.use('/api/upload', authMiddleware, uploadLimiter, uploadRoutes);
+app.use('/api/moderation', authMiddleware, apiLimiter, requireRole(ROLES.MODERATOR), moderationRoutes);
+app.use('/api/admin', authMiddleware, apiLimiter, requireRole(ROLES.ADMIN), adminRoutes);
 
 // Error handling middleware
 app.use((err, req, res, next) => {
@@ -160,13 +88,27 @@ app.use((err, req, res, next) => {
   
   if (err.code === 'LIMIT_FILE_SIZE') {
     return res.status(400).json({ 
-      message: 'File too large. Maximum size is 10MB.' 
+      message: 'File too large. Maximum size is 10MB.',
+      code: 'FILE_TOO_LARGE'
     });
   }
   
+  // The limit comes from the upload that refused the file (see config/upload.js)
   if (err.code === 'LIMIT_FILE_COUNT') {
+    const maxFiles = err.limits && err.limits.files;
     return res.status(400).json({ 
-      message: 'Too many files. Maximum is 10 files per upload.' 
+      message: maxFiles
+        ? `Too many files. Maximum is ${maxFiles} ${maxFiles === 1 ? 'file' : 'files'} per upload.`
+        : 'Too many files.',
+      code: 'TOO_MANY_FILES'
+    });
+  }
+  
+  // Files refused by the upload filter (see config/upload.js)
+  if (err.status && err.code) {
+    return res.status(err.status).json({
+      message: err.message,
+      code: err.code
     });
   }
   
@@ -182,6 +124,11 @@ app.use('*', (req, res) => {
 });
 
 app.listen(PORT, () => {
+  // Background jobs
+  startScheduledPublishing();
+  startSearchIndexRefresh();
+  startAssetSweep();
+
   console.log(`Portfolio Server is running on port ${PORT}`);
   console.log(`Environment: ${process.env.NODE_ENV || 'development'}`);
   console.log(`Frontend URL: ${process.env.FRONTEND_URL || 'http://localhost:3000'}`);
@@ -0,0 +1,98 @@
+// services/accounts.js
+// Admin actions on user accounts.
+//
+// Suspending a user disables their Firebase account, revokes their refresh
+// tokens and takes down all of their portfolios. The auth middleware checks
+// for revoked tokens and disabled accounts, so existing sessions end at once.
+const { admin } = require('../config/firebase');
+const { takeDownPortfolio, restorePortfolio } = require('./publishing');
+const { invalidateOwner } = require('./owners');
+
+const db = admin.firestore();
+const usersCollection = db.collection('users');
+const portfoliosCollection = db.collection('portfolios');
+
+// Returns the ids of the portfolios that were taken down
+const suspendUser = async (uid, { reason, by }) => {
+  await admin.auth().updateUser(uid, { disabled: true });
+  await admin.auth().revokeRefreshTokens(uid);
+
+  await usersCollection.doc(uid).set({
+    suspended: true,
+    suspension: {
+      reason: reason || null,
+      by,
+      at: admin.firestore.FieldValue.serverTimestamp()
+    }
+  }, { merge: true });
+  invalidateOwner(uid);
+
+  const snapshot = await portfoliosCollection.where('userId', '==', uid).get();
+  const takenDown = [];
+
+  for (const doc of snapshot.docs) {
+    if (await takeDownPortfolio(doc.id, { reason, by, source: 'suspension' })) {
+      takenDown.push(doc.id);
+    }
+  }
+
+  return takenDown;
+};
+
+// Re-enable the account and restore the portfolios taken down by the
+// suspension. Portfolios an admin took down separately stay down.
+// Returns the ids of the portfolios that were restored.
+const reinstateUser = async (uid) => {
+  await admin.auth().updateUser(uid, { disabled: false });
+
+  await usersCollection.doc(uid).set({
+    suspended: false,
+    suspension: admin.firestore.FieldValue.delete()
+  }, { merge: true });
+  invalidateOwner(uid);
+
+  const snapshot = await portfoliosCollection.where('userId', '==', uid).get();
+  const restored = [];
+
+  for (const doc of snapshot.docs) {
+    if (doc.get('takedown.source') === 'suspension' && await restorePortfolio(doc.id)) {
+      restored.push(doc.id);
+    }
+  }
+
+  return restored;
+};
+
+// One page of Firebase Auth users with their profile flags.
+// Returns { users, nextPageToken } where nextPageToken is null on the last page.
+const listUsers = async ({ limit, pageToken }) => {
+  const result = await admin.auth().listUsers(limit, pageToken || undefined);
+
+  const profiles = result.users.length > 0
+    ? await db.getAll(...result.users.map(user => usersCollection.doc(user.uid)))
+    : [];
+  const profileById = new Map(profiles.filter(doc => doc.exists).map(doc => [doc.id, doc.data()]));
+
+  const users = result.users.map(user => {
+    const profile = profileById.get(user.uid) || {};
+    return {
+      uid: user.uid,
+      email: user.email || null,
+      displayName: profile.displayName || user.displayName || null,
+      photoURL: profile.photoURL || user.photoURL || null,
+      disabled: user.disabled,
+      suspended: profile.suspended === true,
+      roles: Array.isArray(user.customClaims?.roles) ? user.customClaims.roles : [],
+      createdAt: user.metadata.creationTime,
+      lastSignInAt: user.metadata.lastSignInTime || null
+    };
+  });
+
+  return { users, nextPageToken: result.pageToken || null };
+};
+
+module.exports = {
+  suspendUser,
+  reinstateUser,
+  listUsers
+};
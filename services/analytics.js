@@ -0,0 +1,178 @@
+// services/analytics.js
+// Portfolio view analytics.
+//
+// A view counts once per visitor per portfolio per UTC day. Visitors are
+// identified by uid when signed in, otherwise by a salted hash of IP and
+// user agent; raw IPs are never stored. Under each portfolio:
+//   viewStats/{YYYY-MM-DD}  daily bucket: views, newVisitors, referrers
+//   viewDedup/{day_visitor} marker so repeat views on the same day are ignored
+//   visitors/{visitor}      first time a visitor was seen (all-time uniques)
+// viewDedup documents carry an `expireAt` field for a Firestore TTL policy.
+const crypto = require('crypto');
+const { admin } = require('../config/firebase');
+
+const db = admin.firestore();
+const portfoliosCollection = db.collection('portfolios');
+
+const VISITOR_SALT = process.env.ANALYTICS_SALT || 'portfolio-analytics';
+const DAY_MS = 24 * 60 * 60 * 1000;
+const MAX_RANGE_DAYS = 365;
+
+// Firestore ALREADY_EXISTS
+const ALREADY_EXISTS = 6;
+
+const toDay = (date) => date.toISOString().slice(0, 10);
+
+const visitorIdFor = ({ uid, ip, userAgent }) => {
+  const identity = uid ? `u:${uid}` : `a:${ip || ''}|${userAgent || ''}`;
+  return crypto.createHash('sha256').update(`${VISITOR_SALT}:${identity}`).digest('hex').slice(0, 32);
+};
+
+// Reduce a referrer URL to its host name ("direct" when there is none)
+const referrerDomain = (referrer) => {
+  if (!referrer) return 'direct';
+  try {
+    return new URL(referrer).hostname.replace(/^www\./, '').toLowerCase() || 'direct';
+  } catch (error) {
+    return 'unknown';
+  }
+};
+
+// Create a document, returning false instead of throwing if it already exists
+const createOnce = async (ref, data) => {
+  try {
+    await ref.create(data);
+    return true;
+  } catch (error) {
+    if (error.code === ALREADY_EXISTS) {
+      return false;
+    }
+    throw error;
+  }
+};
+
+// Record a view. Returns { counted } so callers can reflect it in responses.
+// Errors are logged and swallowed; analytics must never break a page view.
+const recordView = async ({ portfolioId, viewer, referrer }) => {
+  try {
+    const now = new Date();
+    const day = toDay(now);
+    const visitorId = visitorIdFor(viewer);
+    const portfolioRef = portfoliosCollection.doc(portfolioId);
+
+    const firstViewToday = await createOnce(portfolioRef.collection('viewDedup').doc(`${day}_${visitorId}`), {
+      day,
+      expireAt: admin.firestore.Timestamp.fromMillis(now.getTime() + 2 * DAY_MS)
+    });
+
+    if (!firstViewToday) {
+      return { counted: false };
+    }
+
+    const newVisitor = await createOnce(portfolioRef.collection('visitors').doc(visitorId), {
+      firstSeen: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    const increment = admin.firestore.FieldValue.increment;
+    const batch = db.batch();
+
+    batch.set(portfolioRef.collection('viewStats').doc(day), {
+      date: day,
+      views: increment(1),
+      newVisitors: increment(newVisitor ? 1 : 0),
+      referrers: { [referrerDomain(referrer)]: increment(1) }
+    }, { merge: true });
+
+    batch.update(portfolioRef, {
+      views: increment(1),
+      uniqueVisitors: increment(newVisitor ? 1 : 0)
+    });
+
+    await batch.commit();
+    return { counted: true };
+  } catch (error) {
+    console.error(`Error recording view for portfolio ${portfolioId}:`, error);
+    return { counted: false };
+  }
+};
+
+// Daily series, totals and top referrers between two YYYY-MM-DD days (inclusive)
+const getPortfolioAnalytics = async (portfolioId, { from, to }) => {
+  const snapshot = await portfoliosCollection.doc(portfolioId)
+    .collection('viewStats')
+    .where('date', '>=', from)
+    .where('date', '<=', to)
+    .orderBy('date')
+    .get();
+
+  const buckets = new Map();
+  snapshot.forEach(doc => buckets.set(doc.get('date'), doc.data()));
+
+  const series = [];
+  const referrers = {};
+  const totals = { views: 0, newVisitors: 0 };
+
+  // Fill in days without views so charts get a continuous series
+  for (let time = Date.parse(from); time <= Date.parse(to); time += DAY_MS) {
+    const date = toDay(new Date(time));
+    const bucket = buckets.get(date) || {};
+    const views = bucket.views || 0;
+    const newVisitors = bucket.newVisitors || 0;
+
+    series.push({ date, views, newVisitors });
+    totals.views += views;
+    totals.newVisitors += newVisitors;
+
+    Object.entries(bucket.referrers || {}).forEach(([domain, count]) => {
+      referrers[domain] = (referrers[domain] || 0) + count;
+    });
+  }
+
+  const topReferrers = Object.entries(referrers)
+    .map(([domain, views]) => ({ domain, views }))
+    .sort((a, b) => b.views - a.views)
+    .slice(0, 10);
+
+  return { series, totals, topReferrers };
+};
+
+// Parse ?from=&to= or ?days=, defaulting to the last 30 days.
+// Returns { from, to } or null when the range is invalid.
+const parseRange = ({ from, to, days }) => {
+  const isDay = (value) => /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value));
+  const today = toDay(new Date());
+
+  if (from || to) {
+    const end = to || today;
+    if (!isDay(from) || !isDay(end) || from > end) return null;
+    if ((Date.parse(end) - Date.parse(from)) / DAY_MS >= MAX_RANGE_DAYS) return null;
+    return { from, to: end };
+  }
+
+  const count = Math.min(Math.max(parseInt(days) || 30, 1), MAX_RANGE_DAYS);
+  return {
+    from: toDay(new Date(Date.parse(today) - (count - 1) * DAY_MS)),
+    to: today
+  };
+};
+
+// Who is viewing, as far as analytics is concerned
+const viewerFromRequest = (req) => ({
+  uid: req.user ? req.user.uid : null,
+  ip: req.ip,
+  userAgent: req.get('user-agent')
+});
+
+// The page referrer. API calls come from our own frontend, so it should pass
+// the visitor's original document.referrer as ?ref= or X-Page-Referrer.
+const referrerFromRequest = (req) => {
+  return req.query.ref || req.get('x-page-referrer') || null;
+};
+
+module.exports = {
+  recordView,
+  getPortfolioAnalytics,
+  parseRange,
+  viewerFromRequest,
+  referrerFromRequest
+};
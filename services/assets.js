@@ -0,0 +1,339 @@
+// services/assets.js
+// Tracks uploaded images so they can be removed once nothing uses them.
+//
+// Every upload gets a document in the `assets` collection (id: the encoded
+// storage publicId) with its owner and `portfolioIds`, the portfolios whose
+// published content, draft or saved versions use it. Portfolios refer to images by URL, so
+// references are found by asking the storage driver which of the image URLs
+// in a portfolio are ours.
+//
+// An asset whose last portfolio stops using it is deleted straight away.
+// Images kept only by saved versions stay until those versions are pruned,
+// so restoring a version never brings back a deleted image.
+// Uploads that were never used carry `unreferencedSince` and are removed by
+// the sweep (jobs/assetSweep.js) after ASSET_ORPHAN_DAYS.
+//
+// Each user's total stored bytes are kept in users/{uid}.storageBytes and
+// checked against USER_STORAGE_QUOTA_MB before new uploads.
+const { admin } = require('../config/firebase');
+const { storage } = require('../storage');
+const { pickContent, getDraftContent, isPublished } = require('../utils/portfolioViews');
+const { listVersionContents } = require('./portfolioVersions');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+
+const db = admin.firestore();
+const assetsCollection = db.collection('assets');
+const portfoliosCollection = db.collection('portfolios');
+const usersCollection = db.collection('users');
+
+const ORPHAN_DAYS = parseInt(process.env.ASSET_ORPHAN_DAYS) || 7;
+const DAY_MS = 24 * 60 * 60 * 1000;
+const QUOTA_BYTES = (parseInt(process.env.USER_STORAGE_QUOTA_MB) || 100) * 1024 * 1024;
+
+// Only our own uploads are tracked
+const TRACKED_FOLDER = 'portfolio-app/';
+
+const assetIdFor = (publicId) => encodeURIComponent(publicId);
+
+// Folder a user's uploads go into
+const userFolder = (uid) => `${TRACKED_FOLDER}users/${uid}`;
+
+const assetError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const publicIdFromUrl = (url) => {
+  if (typeof url !== 'string') return null;
+  const publicId = storage.publicIdFromUrl(url);
+  return publicId && publicId.startsWith(TRACKED_FOLDER) ? publicId : null;
+};
+
+// All tracked publicIds referenced anywhere in a piece of content
+const collectPublicIds = (value, ids = new Set()) => {
+  if (typeof value === 'string') {
+    const publicId = publicIdFromUrl(value);
+    if (publicId) ids.add(publicId);
+  } else if (Array.isArray(value)) {
+    value.forEach(item => collectPublicIds(item, ids));
+  } else if (value && typeof value === 'object') {
+    Object.values(value).forEach(item => collectPublicIds(item, ids));
+  }
+  return ids;
+};
+
+// Images used by a portfolio: its published content, its draft and its
+// saved versions
+const referencedPublicIds = async (portfolioId, data) => {
+  const ids = collectPublicIds(pickContent(data));
+  collectPublicIds(getDraftContent(data), ids);
+  (await listVersionContents(portfolioId)).forEach(content => collectPublicIds(content, ids));
+  return ids;
+};
+
+// Record a finished upload (the result of storage.upload) and add it to
+// the owner's storage total
+const recordUpload = async (ownerId, result, { purpose = null } = {}) => {
+  const now = admin.firestore.Timestamp.now();
+  const batch = db.batch();
+
+  batch.set(assetsCollection.doc(assetIdFor(result.publicId)), {
+    ownerId,
+    publicId: result.publicId,
+    url: result.url,
+    width: result.width || null,
+    height: result.height || null,
+    bytes: result.bytes || null,
+    format: result.format || null,
+    purpose,
+    alt: null,
+    caption: null,
+    portfolioIds: [],
+    unreferencedSince: now,
+    createdAt: now
+  });
+  batch.set(usersCollection.doc(ownerId), {
+    storageBytes: admin.firestore.FieldValue.increment(result.bytes || 0)
+  }, { merge: true });
+
+  await batch.commit();
+};
+
+// Delete the image from storage, then its asset document. If storage fails
+// the document is kept so the sweep can retry later.
+const destroyAsset = async (doc) => {
+  try {
+    await storage.remove(doc.get('publicId'));
+  } catch (error) {
+    console.error(`Error deleting asset ${doc.get('publicId')}:`, error);
+    return false;
+  }
+
+  const batch = db.batch();
+  batch.delete(doc.ref);
+  batch.set(usersCollection.doc(doc.get('ownerId')), {
+    storageBytes: admin.firestore.FieldValue.increment(-(doc.get('bytes') || 0))
+  }, { merge: true });
+  await batch.commit();
+  return true;
+};
+
+// Uploads can double as the owner's profile photo, which we don't track
+const isProfilePhoto = async (doc) => {
+  const profile = await usersCollection.doc(doc.get('ownerId')).get();
+  return profile.exists && profile.get('photoURL') === doc.get('url');
+};
+
+// Bring the assets' portfolioIds in line with what a portfolio currently
+// uses, deleting assets it was the last user of. Only assets owned by the
+// portfolio owner are attached, so nobody can claim someone else's upload.
+const syncAssets = async (portfolioId, data) => {
+  const wanted = data ? await referencedPublicIds(portfolioId, data) : new Set();
+  const ownerId = data ? data.userId : null;
+
+  const attachedSnapshot = await assetsCollection
+    .where('portfolioIds', 'array-contains', portfolioId)
+    .get();
+  const attached = new Set(attachedSnapshot.docs.map(doc => doc.get('publicId')));
+
+  // Attach newly used images
+  const toAttach = Array.from(wanted).filter(publicId => !attached.has(publicId));
+  if (toAttach.length > 0) {
+    const docs = await db.getAll(...toAttach.map(publicId => assetsCollection.doc(assetIdFor(publicId))));
+    const batch = db.batch();
+    docs.filter(doc => doc.exists && doc.get('ownerId') === ownerId).forEach(doc => {
+      batch.update(doc.ref, {
+        portfolioIds: admin.firestore.FieldValue.arrayUnion(portfolioId),
+        unreferencedSince: null
+      });
+    });
+    await batch.commit();
+  }
+
+  // Detach images no longer used, deleting the ones nothing else uses
+  const removed = [];
+  for (const doc of attachedSnapshot.docs.filter(doc => !wanted.has(doc.get('publicId')))) {
+    const orphaned = await db.runTransaction(async (transaction) => {
+      const fresh = await transaction.get(doc.ref);
+      if (!fresh.exists) return false;
+
+      const portfolioIds = (fresh.get('portfolioIds') || []).filter(id => id !== portfolioId);
+      transaction.update(doc.ref, {
+        portfolioIds,
+        unreferencedSince: portfolioIds.length === 0 ? admin.firestore.Timestamp.now() : null
+      });
+      return portfolioIds.length === 0;
+    });
+
+    // A profile photo is left to the sweep, which checks it again
+    if (orphaned && !(await isProfilePhoto(doc)) && await destroyAsset(doc)) {
+      removed.push(doc.get('publicId'));
+    }
+  }
+
+  return removed;
+};
+
+// Call after every write that can change a portfolio's images, with the
+// portfolio's current data (null once it is deleted). Returns the removed
+// publicIds. Failures are logged rather than thrown so that asset bookkeeping
+// never fails the portfolio write it follows.
+const syncPortfolioAssets = async (portfolioId, data) => {
+  try {
+    return await syncAssets(portfolioId, data);
+  } catch (error) {
+    console.error(`Error syncing assets for portfolio ${portfolioId}:`, error);
+    return [];
+  }
+};
+
+// Delete uploads that have not been used by any portfolio for ASSET_ORPHAN_DAYS.
+// An image in use as the owner's profile photo is kept. Returns the number removed.
+const sweepOrphanedAssets = async ({ olderThanDays = ORPHAN_DAYS } = {}) => {
+  const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - olderThanDays * DAY_MS);
+  const snapshot = await assetsCollection
+    .where('unreferencedSince', '<', cutoff)
+    .limit(500)
+    .get();
+
+  if (snapshot.empty) {
+    return 0;
+  }
+
+  const ownerIds = Array.from(new Set(snapshot.docs.map(doc => doc.get('ownerId'))));
+  const profiles = await db.getAll(...ownerIds.map(uid => usersCollection.doc(uid)));
+  const profilePhotos = new Set(profiles.filter(doc => doc.exists).map(doc => doc.get('photoURL')));
+
+  let removed = 0;
+  for (const doc of snapshot.docs) {
+    // Check again later in case the user changes their photo
+    if (profilePhotos.has(doc.get('url'))) {
+      await doc.ref.update({ unreferencedSince: admin.firestore.Timestamp.now() });
+      continue;
+    }
+    if (await destroyAsset(doc)) {
+      removed++;
+    }
+  }
+  return removed;
+};
+
+// { usedBytes, quotaBytes } for a user
+const getStorageUsage = async (uid) => {
+  const profile = await usersCollection.doc(uid).get();
+  return {
+    usedBytes: Math.max(0, (profile.exists && profile.get('storageBytes')) || 0),
+    quotaBytes: QUOTA_BYTES
+  };
+};
+
+// What the media library shows for an asset
+const toMediaItem = (doc) => {
+  const data = doc.data();
+  return {
+    publicId: data.publicId,
+    url: data.url,
+    width: data.width,
+    height: data.height,
+    bytes: data.bytes,
+    format: data.format,
+    purpose: data.purpose || null,
+    alt: data.alt || null,
+    caption: data.caption || null,
+    portfolioIds: data.portfolioIds || [],
+    createdAt: data.createdAt
+  };
+};
+
+// A user's uploads, newest first.
+// Returns { docs, nextCursor } where nextCursor is null on the last page.
+const listUserAssets = async (ownerId, { limit, cursor }) => {
+  let query = assetsCollection
+    .where('ownerId', '==', ownerId)
+    .orderBy('createdAt', 'desc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw assetError('INVALID_CURSOR', 'Invalid cursor');
+    }
+    query = query.startAfter(position.createdAt, position.id);
+  }
+
+  const snapshot = await query.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    docs,
+    nextCursor: snapshot.docs.length > limit ? encodeCursor(docs[docs.length - 1]) : null
+  };
+};
+
+// Look up one of the user's own uploads. Anything outside their folder is
+// treated as missing.
+const getUserAsset = async (ownerId, publicId) => {
+  if (!publicId.startsWith(`${userFolder(ownerId)}/`)) {
+    throw assetError('ASSET_NOT_FOUND', 'Media not found');
+  }
+
+  const doc = await assetsCollection.doc(assetIdFor(publicId)).get();
+  if (!doc.exists || doc.get('ownerId') !== ownerId) {
+    throw assetError('ASSET_NOT_FOUND', 'Media not found');
+  }
+  return doc;
+};
+
+const updateAssetMetadata = async (ownerId, publicId, metadata) => {
+  const doc = await getUserAsset(ownerId, publicId);
+  await doc.ref.update(metadata);
+  return assetsCollection.doc(doc.id).get();
+};
+
+// Which of `portfolioIds` show the image on their live, published version
+const findPublishedUses = async (publicId, portfolioIds) => {
+  if (portfolioIds.length === 0) return [];
+
+  const docs = await db.getAll(...portfolioIds.map(id => portfoliosCollection.doc(id)));
+  return docs
+    .filter(doc => doc.exists && isPublished(doc.data()) && collectPublicIds(pickContent(doc.data())).has(publicId))
+    .map(doc => doc.id);
+};
+
+// Delete one of the user's uploads. Images still used by a portfolio's draft
+// or saved versions are refused unless `force` is set; images on a published
+// portfolio are always refused, as deleting them would break the live page.
+const deleteUserAsset = async (ownerId, publicId, { force = false } = {}) => {
+  const doc = await getUserAsset(ownerId, publicId);
+  const portfolioIds = doc.get('portfolioIds') || [];
+
+  const publishedIds = await findPublishedUses(publicId, portfolioIds);
+  if (publishedIds.length > 0) {
+    const error = assetError('ASSET_PUBLISHED', 'This image is used by a published portfolio');
+    error.portfolioIds = publishedIds;
+    throw error;
+  }
+
+  if (portfolioIds.length > 0 && !force) {
+    const error = assetError('ASSET_IN_USE', 'This image is used by a portfolio');
+    error.portfolioIds = portfolioIds;
+    throw error;
+  }
+
+  if (!(await destroyAsset(doc))) {
+    throw assetError('ASSET_DELETE_FAILED', 'Could not delete the image from storage');
+  }
+};
+
+module.exports = {
+  userFolder,
+  getStorageUsage,
+  toMediaItem,
+  listUserAssets,
+  updateAssetMetadata,
+  deleteUserAsset,
+  recordUpload,
+  syncPortfolioAssets,
+  sweepOrphanedAssets
+};
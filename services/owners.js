@@ -0,0 +1,184 @@
+// services/owners.js
+// Resolves portfolio owners (and raters) to a consistent profile shape:
+//   { uid, email, displayName, phone, photoURL }
+//
+// Profiles come from the `users` collection, falling back to Firebase Auth
+// for users who never saved a profile. Results are cached in memory for
+// OWNER_CACHE_TTL_MS and dropped when the user updates their profile.
+//
+// Resolved owners carry the user's privacy settings; always pass them through
+// presentOwner() before putting them in a response.
+const { admin } = require('../config/firebase');
+
+const db = admin.firestore();
+const usersCollection = db.collection('users');
+
+const OWNER_CACHE_TTL_MS = parseInt(process.env.OWNER_CACHE_TTL_MS) || 5 * 60 * 1000;
+
+// Firestore getAll and Auth getUsers both accept at most 100 ids per call
+const BATCH_SIZE = 100;
+
+// Contact details are private unless the user opts in
+const DEFAULT_PRIVACY = {
+  showEmail: false,
+  showPhone: false,
+  showPhoto: true,
+  hiddenFromDirectory: false
+};
+
+// uid -> { owner, expiresAt }
+const cache = new Map();
+
+const getPrivacy = (profile = {}) => ({
+  ...DEFAULT_PRIVACY,
+  ...(profile.privacy || {})
+});
+
+const toOwner = (uid, profile = {}) => ({
+  uid,
+  email: profile.email || null,
+  displayName: profile.displayName || 'Anonymous User',
+  phone: profile.phone || profile.phoneNumber || null,
+  photoURL: profile.photoURL || null,
+  privacy: getPrivacy(profile)
+});
+
+const unknownOwner = (uid) => ({
+  uid,
+  email: null,
+  displayName: 'Unknown User',
+  phone: null,
+  photoURL: null,
+  privacy: { ...DEFAULT_PRIVACY }
+});
+
+const chunk = (items, size) => {
+  const chunks = [];
+  for (let i = 0; i < items.length; i += size) {
+    chunks.push(items.slice(i, i + size));
+  }
+  return chunks;
+};
+
+// Look up several users at once. Returns a Map of uid -> owner.
+const getOwners = async (uids) => {
+  const now = Date.now();
+  const owners = new Map();
+  const missing = [];
+
+  Array.from(new Set(uids.filter(Boolean))).forEach(uid => {
+    const cached = cache.get(uid);
+    if (cached && cached.expiresAt > now) {
+      owners.set(uid, cached.owner);
+    } else {
+      missing.push(uid);
+    }
+  });
+
+  if (missing.length === 0) {
+    return owners;
+  }
+
+  const resolved = new Map();
+  let failed = false;
+
+  try {
+    // Saved profiles first, in as few reads as possible
+    for (const ids of chunk(missing, BATCH_SIZE)) {
+      const docs = await db.getAll(...ids.map(uid => usersCollection.doc(uid)));
+      docs.forEach(doc => {
+        if (doc.exists) {
+          resolved.set(doc.id, toOwner(doc.id, doc.data()));
+        }
+      });
+    }
+
+    // Then Firebase Auth for users without a profile document
+    const withoutProfile = missing.filter(uid => !resolved.has(uid));
+    for (const ids of chunk(withoutProfile, BATCH_SIZE)) {
+      const result = await admin.auth().getUsers(ids.map(uid => ({ uid })));
+      result.users.forEach(userRecord => {
+        resolved.set(userRecord.uid, toOwner(userRecord.uid, userRecord));
+      });
+    }
+  } catch (error) {
+    console.error('Error resolving owners:', error);
+    failed = true;
+  }
+
+  missing.forEach(uid => {
+    const owner = resolved.get(uid) || unknownOwner(uid);
+    owners.set(uid, owner);
+    // Don't remember placeholders caused by a failed lookup
+    if (resolved.has(uid) || !failed) {
+      cache.set(uid, { owner, expiresAt: now + OWNER_CACHE_TTL_MS });
+    }
+  });
+
+  return owners;
+};
+
+const getOwner = async (uid) => {
+  const owners = await getOwners([uid]);
+  return owners.get(uid) || unknownOwner(uid);
+};
+
+// Make sure a users document exists, creating it from Firebase Auth if needed
+const ensureUserProfile = async (uid, defaults = {}) => {
+  const userDoc = await usersCollection.doc(uid).get();
+  if (userDoc.exists) {
+    return toOwner(uid, userDoc.data());
+  }
+
+  const userRecord = await admin.auth().getUser(uid);
+  const profile = {
+    email: userRecord.email || null,
+    displayName: userRecord.displayName || defaults.displayName || 'Anonymous User',
+    phone: userRecord.phoneNumber || null,
+    photoURL: userRecord.photoURL || null,
+    privacy: { ...DEFAULT_PRIVACY },
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  await usersCollection.doc(uid).set(profile);
+  invalidateOwner(uid);
+  return toOwner(uid, profile);
+};
+
+const invalidateOwner = (uid) => {
+  cache.delete(uid);
+};
+
+// The owner as `viewerUid` may see it. Users always see their own details;
+// everyone else (including anonymous visitors) only sees what was opted in.
+const presentOwner = (owner, viewerUid = null) => {
+  const { privacy, ...details } = owner;
+
+  if (viewerUid && viewerUid === owner.uid) {
+    return details;
+  }
+
+  return {
+    ...details,
+    email: privacy.showEmail ? details.email : null,
+    phone: privacy.showPhone ? details.phone : null,
+    photoURL: privacy.showPhoto ? details.photoURL : null
+  };
+};
+
+// Just what is shown next to a rating or review
+const toRaterSummary = (owner) => ({
+  displayName: owner.displayName,
+  photoURL: owner.privacy.showPhoto ? owner.photoURL : null
+});
+
+module.exports = {
+  DEFAULT_PRIVACY,
+  getOwners,
+  getOwner,
+  ensureUserProfile,
+  invalidateOwner,
+  getPrivacy,
+  presentOwner,
+  toRaterSummary
+};
@@ -0,0 +1,438 @@
+// services/portfolioExport.js
+// Turns a portfolio into files the owner can download and host anywhere:
+//   html - one self-contained page, with images embedded as data URIs
+//   zip  - index.html with the images in images/, plus resume.pdf
+//   pdf  - a printable résumé
+//
+// The page uses the theme of the portfolio's template (config/templates.js),
+// shows only the sections that template supports, and contains no scripts. Only images in our own
+// storage are copied into the export; we never fetch other URLs found in a
+// portfolio, so those stay as links to where they are hosted.
+const PDFDocument = require('pdfkit');
+const archiver = require('archiver');
+const { storage } = require('../storage');
+const { getTemplate, getTheme } = require('../config/templates');
+const { isSupported } = require('../validators/template');
+
+const EXPORT_FORMATS = ['html', 'zip', 'pdf'];
+
+// Most images copied into one export; the rest stay as links
+const MAX_EXPORT_IMAGES = 60;
+
+const IMAGE_EXTENSIONS = {
+  'image/png': 'png',
+  'image/jpeg': 'jpg',
+  'image/gif': 'gif',
+  'image/webp': 'webp'
+};
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;')
+  .replace(/'/g, '&#39;');
+
+// Links are limited to web and mail addresses
+const safeUrl = (value) => (typeof value === 'string' && /^(https?:|mailto:|tel:)/i.test(value) ? value : null);
+
+// Percent-encode what could end a CSS url('...')
+const cssUrl = (value) => value.replace(/['"()\\\s]/g, char => `%${char.charCodeAt(0).toString(16).padStart(2, '0')}`);
+
+const paragraphs = (text) => String(text || '')
+  .split(/\n\s*\n/)
+  .map(block => block.trim())
+  .filter(Boolean)
+  .map(block => `<p>${escapeHtml(block).replace(/\n/g, '<br>')}</p>`)
+  .join('\n');
+
+// '2023-04-01' -> 'Apr 2023'
+const formatDate = (value) => {
+  const date = new Date(value);
+  if (!value || Number.isNaN(date.getTime())) return '';
+  return date.toLocaleDateString('en-US', { month: 'short', year: 'numeric', timeZone: 'UTC' });
+};
+
+const formatRange = ({ startDate, endDate, current }) => {
+  const start = formatDate(startDate);
+  const end = current ? 'Present' : formatDate(endDate);
+  return [start, end].filter(Boolean).join(' – ');
+};
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+// Every image URL a portfolio shows
+const collectImageUrls = (content) => {
+  const urls = [
+    content.heroSection && content.heroSection.profileImage,
+    content.heroSection && content.heroSection.backgroundImage,
+    content.aboutMe && content.aboutMe.image,
+    ...list(content.projects).map(project => project.image),
+    ...list(content.testimonials).map(testimonial => testimonial.avatar)
+  ];
+  return Array.from(new Set(urls.filter(url => typeof url === 'string' && url)));
+};
+
+// Read the portfolio's images from our storage, one at a time to keep memory
+// use down. Returns a Map of URL -> { buffer, contentType, fileName }. Images
+// that can't be read are left out and stay as links.
+const loadImages = async (content) => {
+  const images = new Map();
+
+  for (const url of collectImageUrls(content)) {
+    if (images.size >= MAX_EXPORT_IMAGES) break;
+
+    const publicId = storage.publicIdFromUrl(url);
+    if (!publicId) continue;
+
+    try {
+      const { buffer, contentType } = await storage.read(publicId);
+      const extension = IMAGE_EXTENSIONS[contentType.split(';')[0]];
+      if (!extension) continue;
+
+      images.set(url, { buffer, contentType, fileName: `images/${images.size + 1}.${extension}` });
+    } catch (error) {
+      console.error(`Error reading ${publicId} for export:`, error);
+    }
+  }
+
+  return images;
+};
+
+const renderStyles = ({ colors, fonts }) => `
+  * { box-sizing: border-box; }
+  body { margin: 0; background: ${colors.background}; color: ${colors.text}; font-family: ${fonts.body}; line-height: 1.6; }
+  h1, h2, h3 { font-family: ${fonts.heading}; line-height: 1.25; margin: 0 0 0.5em; }
+  a { color: ${colors.accent}; }
+  main { max-width: 960px; margin: 0 auto; padding: 0 24px 48px; }
+  section { margin-top: 48px; }
+  .hero { padding: 72px 24px; text-align: center; background: ${colors.surface} center / cover no-repeat; }
+  .hero img.avatar { width: 160px; height: 160px; border-radius: 50%; object-fit: cover; }
+  .hero .title { font-size: 1.25em; color: ${colors.accent}; margin: 0; }
+  .hero .tagline { color: ${colors.muted}; }
+  .button { display: inline-block; padding: 10px 20px; border-radius: 6px; background: ${colors.accent}; color: #fff; text-decoration: none; }
+  .muted { color: ${colors.muted}; }
+  .tags { list-style: none; padding: 0; display: flex; flex-wrap: wrap; gap: 8px; }
+  .tags li { background: ${colors.surface}; border-radius: 999px; padding: 4px 12px; font-size: 0.9em; }
+  .card { background: ${colors.surface}; border-radius: 8px; padding: 20px; margin-bottom: 16px; }
+  .card img { max-width: 100%; border-radius: 6px; }
+  .grid { display: grid; grid-template-columns: repeat(auto-fill, minmax(280px, 1fr)); gap: 16px; }
+  blockquote { margin: 0; font-style: italic; }
+  footer { text-align: center; padding: 24px; font-size: 0.85em; }
+  @media print { .hero { background: none; } .button { display: none; } }
+`;
+
+const renderHero = (hero, image) => {
+  if (!hero) return '';
+  const background = image(hero.backgroundImage);
+  const cta = safeUrl(hero.ctaLink);
+
+  return `
+  <header class="hero"${background ? ` style="background-image: url('${escapeHtml(cssUrl(background))}')"` : ''}>
+    ${image(hero.profileImage) ? `<img class="avatar" src="${escapeHtml(image(hero.profileImage))}" alt="${escapeHtml(hero.name)}">` : ''}
+    <h1>${escapeHtml(hero.name)}</h1>
+    ${hero.title ? `<p class="title">${escapeHtml(hero.title)}</p>` : ''}
+    ${hero.tagline ? `<p class="tagline">${escapeHtml(hero.tagline)}</p>` : ''}
+    ${cta ? `<a class="button" href="${escapeHtml(cta)}">${escapeHtml(hero.ctaText || 'Get in touch')}</a>` : ''}
+  </header>`;
+};
+
+const renderAbout = (about, image) => {
+  if (!about) return '';
+  const details = [
+    about.location,
+    about.yearsOfExperience ? `${about.yearsOfExperience} years of experience` : null
+  ].filter(Boolean);
+  const resume = safeUrl(about.resumeUrl);
+
+  return `
+  <section id="about">
+    <h2>About</h2>
+    ${image(about.image) ? `<img src="${escapeHtml(image(about.image))}" alt="" style="max-width: 240px; border-radius: 8px;">` : ''}
+    ${paragraphs(about.bio)}
+    ${details.length ? `<p class="muted">${details.map(escapeHtml).join(' · ')}</p>` : ''}
+    ${list(about.highlights).length ? `<ul>${list(about.highlights).map(item => `<li>${escapeHtml(item)}</li>`).join('')}</ul>` : ''}
+    ${resume ? `<p><a href="${escapeHtml(resume)}">Résumé</a></p>` : ''}
+  </section>`;
+};
+
+const renderSkills = (skills) => {
+  if (!list(skills).length) return '';
+  return `
+  <section id="skills">
+    <h2>Skills</h2>
+    <ul class="tags">${skills.map(skill => `<li>${escapeHtml(skill)}</li>`).join('')}</ul>
+  </section>`;
+};
+
+const renderExperience = (experience) => {
+  if (!list(experience).length) return '';
+  return `
+  <section id="experience">
+    <h2>Experience</h2>
+    ${experience.map(item => `
+    <div class="card">
+      <h3>${escapeHtml(item.position)} · ${escapeHtml(item.company)}</h3>
+      <p class="muted">${escapeHtml([formatRange(item), item.location].filter(Boolean).join(' · '))}</p>
+      ${paragraphs(item.description)}
+      ${list(item.achievements).length ? `<ul>${item.achievements.map(achievement => `<li>${escapeHtml(achievement)}</li>`).join('')}</ul>` : ''}
+    </div>`).join('')}
+  </section>`;
+};
+
+const renderProjects = (projects, image) => {
+  if (!list(projects).length) return '';
+  return `
+  <section id="projects">
+    <h2>Projects</h2>
+    <div class="grid">
+    ${projects.map(project => {
+    const links = [
+      safeUrl(project.liveUrl) && `<a href="${escapeHtml(project.liveUrl)}">Live</a>`,
+      safeUrl(project.githubUrl) && `<a href="${escapeHtml(project.githubUrl)}">Code</a>`
+    ].filter(Boolean);
+
+    return `
+      <div class="card">
+        ${image(project.image) ? `<img src="${escapeHtml(image(project.image))}" alt="${escapeHtml(project.title)}">` : ''}
+        <h3>${escapeHtml(project.title)}</h3>
+        ${formatRange(project) ? `<p class="muted">${escapeHtml(formatRange(project))}</p>` : ''}
+        ${paragraphs(project.description)}
+        ${list(project.technologies).length ? `<ul class="tags">${project.technologies.map(tech => `<li>${escapeHtml(tech)}</li>`).join('')}</ul>` : ''}
+        ${links.length ? `<p>${links.join(' · ')}</p>` : ''}
+      </div>`;
+  }).join('')}
+    </div>
+  </section>`;
+};
+
+const renderEducation = (education) => {
+  if (!list(education).length) return '';
+  return `
+  <section id="education">
+    <h2>Education</h2>
+    ${education.map(item => `
+    <div class="card">
+      <h3>${escapeHtml([item.degree, item.field].filter(Boolean).join(', ') || item.institution)}</h3>
+      <p class="muted">${escapeHtml([item.degree || item.field ? item.institution : null, formatRange(item), item.grade].filter(Boolean).join(' · '))}</p>
+      ${paragraphs(item.description)}
+    </div>`).join('')}
+  </section>`;
+};
+
+const renderTestimonials = (testimonials, image) => {
+  if (!list(testimonials).length) return '';
+  return `
+  <section id="testimonials">
+    <h2>Testimonials</h2>
+    <div class="grid">
+    ${testimonials.map(item => `
+      <div class="card">
+        <blockquote>${paragraphs(item.text)}</blockquote>
+        <p>
+          ${image(item.avatar) ? `<img src="${escapeHtml(image(item.avatar))}" alt="" style="width: 40px; height: 40px; border-radius: 50%; vertical-align: middle;">` : ''}
+          <strong>${escapeHtml(item.name)}</strong>
+          <span class="muted">${escapeHtml([item.role, item.company].filter(Boolean).join(', '))}</span>
+        </p>
+      </div>`).join('')}
+    </div>
+  </section>`;
+};
+
+const contactLinks = (contact = {}) => [
+  contact.email && { label: contact.email, href: `mailto:${contact.email}` },
+  contact.phone && { label: contact.phone, href: `tel:${contact.phone.replace(/[^+\d]/g, '')}` },
+  contact.location && { label: contact.location },
+  contact.website && { label: 'Website', href: contact.website },
+  contact.linkedin && { label: 'LinkedIn', href: contact.linkedin },
+  contact.github && { label: 'GitHub', href: contact.github },
+  contact.twitter && { label: 'Twitter', href: contact.twitter }
+].filter(Boolean);
+
+const renderContact = (contact) => {
+  const links = contactLinks(contact);
+  if (!links.length) return '';
+  return `
+  <section id="contact">
+    <h2>Contact</h2>
+    <ul>
+      ${links.map(link => (safeUrl(link.href)
+    ? `<li><a href="${escapeHtml(link.href)}">${escapeHtml(link.label)}</a></li>`
+    : `<li>${escapeHtml(link.label)}</li>`)).join('')}
+    </ul>
+  </section>`;
+};
+
+// The portfolio as a standalone HTML page. `images` maps image URLs to where
+// the copy lives in the export (a data URI or a relative path).
+const renderPortfolioHtml = (content, { images = new Map() } = {}) => {
+  const template = getTemplate(content.templateId);
+  const hero = content.heroSection || {};
+  const image = (url) => images.get(url) || safeUrl(url);
+  // Portfolios on a template from before the registry show everything
+  const section = (name) => (!template || isSupported(template, name) ? content[name] : undefined);
+  const title = content.seoTitle || [hero.name, hero.title].filter(Boolean).join(' – ') || 'Portfolio';
+
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  ${content.seoDescription ? `<meta name="description" content="${escapeHtml(content.seoDescription)}">` : ''}
+  <style>${renderStyles(getTheme(content.templateId))}</style>
+</head>
+<body>
+  ${renderHero(content.heroSection, image)}
+  <main>
+    ${renderAbout(section('aboutMe'), image)}
+    ${renderSkills(section('skills'))}
+    ${renderExperience(section('experience'))}
+    ${renderProjects(section('projects'), image)}
+    ${renderEducation(section('education'))}
+    ${renderTestimonials(section('testimonials'), image)}
+    ${renderContact(section('contact'))}
+  </main>
+  <footer class="muted">${escapeHtml(hero.name)}</footer>
+</body>
+</html>
+`;
+};
+
+// A printable one-column résumé. Uses the PDF standard fonts, which only
+// cover Western European characters.
+const renderResumePdf = (content) => {
+  const { colors } = getTheme(content.templateId);
+  const hero = content.heroSection || {};
+  const about = content.aboutMe || {};
+  const doc = new PDFDocument({
+    size: 'A4',
+    margin: 50,
+    info: { Title: `${hero.name || 'Portfolio'} - Résumé`, Author: hero.name || '' }
+  });
+
+  const heading = (text) => {
+    doc.moveDown(1)
+      .font('Helvetica-Bold').fontSize(13).fillColor(colors.accent).text(text.toUpperCase())
+      .moveTo(doc.page.margins.left, doc.y + 2)
+      .lineTo(doc.page.width - doc.page.margins.right, doc.y + 2)
+      .strokeColor(colors.accent).lineWidth(0.5).stroke()
+      .moveDown(0.5);
+  };
+  const entryTitle = (text) => doc.font('Helvetica-Bold').fontSize(11).fillColor(colors.text).text(text);
+  const muted = (text) => text && doc.font('Helvetica').fontSize(9).fillColor(colors.muted).text(text);
+  const body = (text) => text && doc.font('Helvetica').fontSize(10).fillColor(colors.text).text(text, { paragraphGap: 4 });
+  const bullets = (items) => list(items).length && doc.font('Helvetica').fontSize(10).fillColor(colors.text).list(items, { bulletRadius: 1.5 });
+
+  doc.font('Helvetica-Bold').fontSize(22).fillColor(colors.text).text(hero.name || '');
+  if (hero.title) {
+    doc.font('Helvetica').fontSize(13).fillColor(colors.accent).text(hero.title);
+  }
+  // Print the addresses of web links, since they can't be clicked on paper
+  const contact = contactLinks(content.contact)
+    .map(link => (link.href && /^https?:/i.test(link.href) ? link.href : link.label));
+  if (contact.length) {
+    doc.moveDown(0.3);
+    muted(contact.join('  ·  '));
+  }
+
+  if (about.bio) {
+    heading('Summary');
+    body(about.bio);
+    bullets(about.highlights);
+  }
+
+  if (list(content.experience).length) {
+    heading('Experience');
+    content.experience.forEach(item => {
+      entryTitle(`${item.position}, ${item.company}`);
+      muted([formatRange(item), item.location].filter(Boolean).join(' · '));
+      body(item.description);
+      bullets(item.achievements);
+      doc.moveDown(0.5);
+    });
+  }
+
+  if (list(content.projects).length) {
+    heading('Projects');
+    content.projects.forEach(project => {
+      entryTitle(project.title);
+      muted([formatRange(project), list(project.technologies).join(', ')].filter(Boolean).join(' · '));
+      body(project.description);
+      muted([project.liveUrl, project.githubUrl].filter(Boolean).join('  ·  '));
+      doc.moveDown(0.5);
+    });
+  }
+
+  if (list(content.education).length) {
+    heading('Education');
+    content.education.forEach(item => {
+      entryTitle([item.degree, item.field].filter(Boolean).join(', ') || item.institution);
+      muted([item.degree || item.field ? item.institution : null, formatRange(item), item.grade].filter(Boolean).join(' · '));
+      body(item.description);
+      doc.moveDown(0.5);
+    });
+  }
+
+  if (list(content.skills).length) {
+    heading('Skills');
+    body(content.skills.join(', '));
+  }
+
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    doc.on('data', chunk => chunks.push(chunk));
+    doc.on('end', () => resolve(Buffer.concat(chunks)));
+    doc.on('error', reject);
+    doc.end();
+  });
+};
+
+// Build an export. Returns { fileName, contentType, body }, where body is a
+// Buffer, or for zip a stream to pipe to the response.
+const buildExport = async (content, format, { name = 'portfolio' } = {}) => {
+  if (format === 'pdf') {
+    return {
+      fileName: `${name}-resume.pdf`,
+      contentType: 'application/pdf',
+      body: await renderResumePdf(content)
+    };
+  }
+
+  const images = await loadImages(content);
+
+  if (format === 'html') {
+    const dataUris = new Map(Array.from(images, ([url, image]) => [
+      url,
+      `data:${image.contentType};base64,${image.buffer.toString('base64')}`
+    ]));
+
+    return {
+      fileName: `${name}.html`,
+      contentType: 'text/html; charset=utf-8',
+      body: Buffer.from(renderPortfolioHtml(content, { images: dataUris }))
+    };
+  }
+
+  const paths = new Map(Array.from(images, ([url, image]) => [url, image.fileName]));
+  const resume = await renderResumePdf(content);
+
+  const archive = archiver('zip', { zlib: { level: 9 } });
+  archive.append(renderPortfolioHtml(content, { images: paths }), { name: 'index.html' });
+  images.forEach(image => archive.append(image.buffer, { name: image.fileName }));
+  archive.append(resume, { name: 'resume.pdf' });
+  archive.finalize();
+
+  return {
+    fileName: `${name}.zip`,
+    contentType: 'application/zip',
+    body: archive
+  };
+};
+
+module.exports = {
+  EXPORT_FORMATS,
+  renderPortfolioHtml,
+  renderResumePdf,
+  buildExport
+};
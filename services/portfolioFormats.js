@@ -0,0 +1,187 @@
+// services/portfolioFormats.js
+// Machine-readable versions of a published portfolio for the public routes:
+// a JSON Resume document (https://jsonresume.org/schema/) and a vCard.
+//
+// Both are built from the portfolio's published content. The owner's account
+// details only fill in what the portfolio leaves out, and must already have
+// been through presentOwner() so their privacy settings apply.
+
+const JSON_RESUME_SCHEMA = 'https://raw.githubusercontent.com/jsonresume/resume-schema/v1.0.0/schema.json';
+
+const PROFILE_NETWORKS = [
+  { field: 'linkedin', network: 'LinkedIn' },
+  { field: 'github', network: 'GitHub' },
+  { field: 'twitter', network: 'Twitter' }
+];
+
+const list = (value) => (Array.isArray(value) ? value : []);
+
+// Drop empty values so the output only has the fields we know
+const compact = (object) => Object.entries(object).reduce((acc, [key, value]) => {
+  const empty = value === undefined || value === null || value === ''
+    || (Array.isArray(value) && value.length === 0)
+    || (value && typeof value === 'object' && !Array.isArray(value) && Object.keys(value).length === 0);
+  if (!empty) {
+    acc[key] = value;
+  }
+  return acc;
+}, {});
+
+const toIsoString = (timestamp) => (timestamp && timestamp.toDate ? timestamp.toDate().toISOString() : undefined);
+
+// The last path segment of a profile URL, e.g. https://github.com/jane -> jane
+const usernameFromUrl = (url) => {
+  try {
+    return new URL(url).pathname.split('/').filter(Boolean).pop();
+  } catch (error) {
+    return undefined;
+  }
+};
+
+// Email, phone and photo from the portfolio, falling back to the owner's
+// account details
+const contactDetails = (content, owner = {}) => {
+  const hero = content.heroSection || {};
+  const about = content.aboutMe || {};
+  const contact = content.contact || {};
+
+  return {
+    name: hero.name || owner.displayName,
+    title: hero.title,
+    email: contact.email || owner.email,
+    phone: contact.phone || owner.phone,
+    photo: hero.profileImage || about.image || owner.photoURL,
+    location: contact.location || about.location,
+    website: contact.website,
+    profiles: PROFILE_NETWORKS
+      .filter(({ field }) => contact[field])
+      .map(({ field, network }) => ({ network, url: contact[field], username: usernameFromUrl(contact[field]) }))
+  };
+};
+
+// ---------------------------------------------------------------------------
+// JSON Resume
+
+const toJsonResume = (portfolio, owner) => {
+  const details = contactDetails(portfolio, owner);
+  const about = portfolio.aboutMe || {};
+
+  return compact({
+    $schema: JSON_RESUME_SCHEMA,
+    basics: compact({
+      name: details.name,
+      label: details.title,
+      image: details.photo,
+      email: details.email,
+      phone: details.phone,
+      url: details.website,
+      summary: about.bio,
+      location: details.location ? { address: details.location } : undefined,
+      profiles: details.profiles.map(compact)
+    }),
+    work: list(portfolio.experience).map(job => compact({
+      name: job.company,
+      position: job.position,
+      location: job.location,
+      startDate: job.startDate,
+      endDate: job.current ? undefined : job.endDate,
+      summary: job.description,
+      highlights: list(job.achievements)
+    })),
+    education: list(portfolio.education).map(item => compact({
+      institution: item.institution,
+      area: item.field,
+      studyType: item.degree,
+      startDate: item.startDate,
+      endDate: item.endDate,
+      score: item.grade
+    })),
+    skills: list(portfolio.skills).map(name => ({ name })),
+    projects: list(portfolio.projects).map(project => compact({
+      name: project.title,
+      description: project.description,
+      keywords: list(project.technologies),
+      startDate: project.startDate,
+      endDate: project.endDate,
+      url: project.liveUrl || project.githubUrl
+    })),
+    references: list(portfolio.testimonials).map(testimonial => compact({
+      name: [testimonial.name, testimonial.role, testimonial.company].filter(Boolean).join(', '),
+      reference: testimonial.text
+    })),
+    meta: compact({
+      version: 'v1.0.0',
+      lastModified: toIsoString(portfolio.publishedAt || portfolio.updatedAt)
+    })
+  });
+};
+
+// ---------------------------------------------------------------------------
+// vCard (RFC 2426, version 3.0 for the widest support)
+
+// Text values escape backslashes, commas, semicolons and newlines
+const escapeText = (value) => String(value)
+  .replace(/\\/g, '\\\\')
+  .replace(/[,;]/g, char => `\\${char}`)
+  .replace(/\r?\n/g, '\\n');
+
+// URIs are not escaped, but must stay on one line
+const oneLine = (value) => String(value).replace(/[\r\n]/g, '');
+
+// Lines longer than 75 octets are folded: CRLF followed by a space
+const foldLine = (line) => {
+  const parts = [];
+  let current = '';
+
+  for (const char of line) {
+    const limit = parts.length === 0 ? 75 : 74;
+    if (Buffer.byteLength(current + char) > limit) {
+      parts.push(current);
+      current = '';
+    }
+    current += char;
+  }
+
+  return [...parts, current].join('\r\n ');
+};
+
+// 'Jane van Doe' -> family 'Doe', given 'Jane van'
+const splitName = (name) => {
+  const words = name.trim().split(/\s+/);
+  const family = words.length > 1 ? words.pop() : '';
+  return { given: words.join(' '), family };
+};
+
+const toVCard = (portfolio, owner) => {
+  const details = contactDetails(portfolio, owner);
+  const hero = portfolio.heroSection || {};
+  const currentJob = list(portfolio.experience).find(job => job.current);
+  const { given, family } = splitName(details.name || '');
+
+  const lines = [
+    'BEGIN:VCARD',
+    'VERSION:3.0',
+    `N:${escapeText(family)};${escapeText(given)};;;`,
+    `FN:${escapeText(details.name || '')}`
+  ];
+
+  if (details.title) lines.push(`TITLE:${escapeText(details.title)}`);
+  if (currentJob) lines.push(`ORG:${escapeText(currentJob.company)}`);
+  if (details.email) lines.push(`EMAIL;TYPE=INTERNET:${oneLine(details.email)}`);
+  if (details.phone) lines.push(`TEL;TYPE=VOICE:${oneLine(details.phone)}`);
+  if (details.location) lines.push(`ADR:;;;${escapeText(details.location)};;;`);
+  if (details.website) lines.push(`URL:${oneLine(details.website)}`);
+  details.profiles.forEach(profile => {
+    lines.push(`X-SOCIALPROFILE;TYPE=${profile.network.toLowerCase()}:${oneLine(profile.url)}`);
+  });
+  if (details.photo) lines.push(`PHOTO;VALUE=URI:${oneLine(details.photo)}`);
+  if (hero.tagline) lines.push(`NOTE:${escapeText(hero.tagline)}`);
+  lines.push('END:VCARD');
+
+  return lines.map(foldLine).join('\r\n') + '\r\n';
+};
+
+module.exports = {
+  toJsonResume,
+  toVCard
+};
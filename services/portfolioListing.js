@@ -0,0 +1,118 @@
+// services/portfolioListing.js
+const { admin } = require('../config/firebase');
+const { PORTFOLIO_STATUS } = require('../utils/portfolioViews');
+const { keywords, normalizeSkill } = require('../utils/portfolioIndex');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+
+const db = admin.firestore();
+const portfoliosCollection = db.collection('portfolios');
+
+// Upper bound on documents scanned for one page when a filter has to be
+// applied in-process (see below)
+const MAX_SCAN = 500;
+
+const invalidCursorError = () => {
+  const error = new Error('Invalid cursor');
+  error.code = 'INVALID_CURSOR';
+  return error;
+};
+
+// List portfolios newest first, one page at a time.
+//
+// filters: { userId, published, listed, featured, skill, role }
+// `listed` leaves out portfolios whose owner is hidden from the directory.
+// Returns { docs, nextCursor } where nextCursor is null on the last page.
+//
+// Firestore allows a single array-contains per query, so the skill filter (or
+// the first role keyword when there is no skill) runs in the query and any
+// remaining role keywords are checked on the fetched documents. The cursor
+// always points at the last document scanned, so pages stay stable.
+const listPortfolios = async ({ filters = {}, limit, cursor }) => {
+  let query = portfoliosCollection;
+
+  if (filters.userId) {
+    query = query.where('userId', '==', filters.userId);
+  }
+
+  if (filters.published) {
+    query = query.where('status', '==', PORTFOLIO_STATUS.PUBLISHED);
+  }
+
+  if (filters.listed) {
+    query = query.where('ownerHidden', '==', false);
+  }
+
+  if (filters.featured) {
+    query = query.where('featured', '==', true);
+  }
+
+  const roleKeywords = filters.role ? keywords(filters.role) : [];
+  let residualKeywords = roleKeywords;
+
+  if (filters.skill) {
+    query = query.where('skillsNormalized', 'array-contains', normalizeSkill(filters.skill));
+  } else if (roleKeywords.length > 0) {
+    query = query.where('roleKeywords', 'array-contains', roleKeywords[0]);
+    residualKeywords = roleKeywords.slice(1);
+  }
+
+  query = query
+    .orderBy('createdAt', 'desc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'desc');
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw invalidCursorError();
+    }
+    query = query.startAfter(position.createdAt, position.id);
+  }
+
+  const matches = (doc) => {
+    const docKeywords = doc.get('roleKeywords') || [];
+    return residualKeywords.every(keyword => docKeywords.includes(keyword));
+  };
+
+  // Without residual filters a single query fills the page
+  if (residualKeywords.length === 0) {
+    const snapshot = await query.limit(limit + 1).get();
+    const docs = snapshot.docs.slice(0, limit);
+    return {
+      docs,
+      nextCursor: snapshot.docs.length > limit ? encodeCursor(docs[docs.length - 1]) : null
+    };
+  }
+
+  const docs = [];
+  let lastScanned = null;
+  let scanned = 0;
+  let hasMore = false;
+  let exhausted = false;
+
+  while (!hasMore && !exhausted && scanned < MAX_SCAN) {
+    const batchQuery = lastScanned ? query.startAfter(lastScanned) : query;
+    const snapshot = await batchQuery.limit(limit).get();
+
+    for (const doc of snapshot.docs) {
+      // The page is full and there is at least one more document
+      if (docs.length === limit) {
+        hasMore = true;
+        break;
+      }
+      lastScanned = doc;
+      scanned++;
+      if (matches(doc)) {
+        docs.push(doc);
+      }
+    }
+
+    exhausted = snapshot.docs.length < limit;
+  }
+
+  return {
+    docs,
+    nextCursor: lastScanned && (hasMore || !exhausted) ? encodeCursor(lastScanned) : null
+  };
+};
+
+module.exports = { listPortfolios };
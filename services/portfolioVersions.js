@@ -0,0 +1,133 @@
+// services/portfolioVersions.js
+const { admin } = require('../config/firebase');
+const { PORTFOLIO_CONTENT_FIELDS } = require('../validators/portfolio');
+const { getDraftContent } = require('../utils/portfolioViews');
+
+const db = admin.firestore();
+const portfoliosCollection = db.collection('portfolios');
+
+// How many snapshots to keep per portfolio
+const MAX_VERSIONS = parseInt(process.env.PORTFOLIO_MAX_VERSIONS) || 20;
+
+const versionsCollection = (portfolioId) => {
+  return portfoliosCollection.doc(portfolioId).collection('versions');
+};
+
+// Save the current draft content of a portfolio as a new version
+const snapshotVersion = async (portfolioId, data, { reason, createdBy }) => {
+  const versionRef = await versionsCollection(portfolioId).add({
+    content: getDraftContent(data),
+    status: data.status || null,
+    reason,
+    createdBy,
+    createdAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+
+  await pruneVersions(portfolioId);
+  return versionRef.id;
+};
+
+// Delete everything beyond the newest MAX_VERSIONS snapshots
+const pruneVersions = async (portfolioId) => {
+  const snapshot = await versionsCollection(portfolioId)
+    .orderBy('createdAt', 'desc')
+    .offset(MAX_VERSIONS)
+    .get();
+
+  if (snapshot.empty) return;
+
+  const batch = db.batch();
+  snapshot.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+};
+
+const listVersions = async (portfolioId) => {
+  const snapshot = await versionsCollection(portfolioId)
+    .orderBy('createdAt', 'desc')
+    .get();
+
+  // The listing leaves out the content; fetch a single version for that
+  return snapshot.docs.map(doc => {
+    const { content, ...metadata } = doc.data();
+    return {
+      id: doc.id,
+      ...metadata,
+      sections: Object.keys(content || {})
+    };
+  });
+};
+
+// The content of every saved version, e.g. to find the images they use
+const listVersionContents = async (portfolioId) => {
+  const snapshot = await versionsCollection(portfolioId).select('content').get();
+  return snapshot.docs.map(doc => doc.get('content') || {});
+};
+
+const getVersion = async (portfolioId, versionId) => {
+  const doc = await versionsCollection(portfolioId).doc(versionId).get();
+  if (!doc.exists) {
+    return null;
+  }
+  return { id: doc.id, ...doc.data() };
+};
+
+// Stable stringify so key order doesn't register as a change
+const canonical = (value) => {
+  if (Array.isArray(value)) {
+    return `[${value.map(canonical).join(',')}]`;
+  }
+  if (value && typeof value === 'object') {
+    return `{${Object.keys(value).sort().map(key => `${JSON.stringify(key)}:${canonical(value[key])}`).join(',')}}`;
+  }
+  return JSON.stringify(value);
+};
+
+// Compare two content objects section by section
+const diffContent = (from = {}, to = {}) => {
+  const sections = [];
+  const unchanged = [];
+
+  PORTFOLIO_CONTENT_FIELDS.forEach(section => {
+    const before = from[section];
+    const after = to[section];
+
+    if (before === undefined && after === undefined) return;
+
+    let change;
+    if (before === undefined) {
+      change = 'added';
+    } else if (after === undefined) {
+      change = 'removed';
+    } else if (canonical(before) !== canonical(after)) {
+      change = 'changed';
+    } else {
+      unchanged.push(section);
+      return;
+    }
+
+    const entry = { section, change, before: before ?? null, after: after ?? null };
+
+    // For list sections also report how many items came and went
+    if (Array.isArray(before) && Array.isArray(after)) {
+      const beforeItems = new Set(before.map(canonical));
+      const afterItems = new Set(after.map(canonical));
+      entry.items = {
+        added: after.filter(item => !beforeItems.has(canonical(item))).length,
+        removed: before.filter(item => !afterItems.has(canonical(item))).length
+      };
+    }
+
+    sections.push(entry);
+  });
+
+  return { sections, unchanged };
+};
+
+module.exports = {
+  MAX_VERSIONS,
+  snapshotVersion,
+  listVersions,
+  listVersionContents,
+  getVersion,
+  diffContent
+};
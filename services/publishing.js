@@ -0,0 +1,217 @@
+// services/publishing.js
+const { admin } = require('../config/firebase');
+const { PORTFOLIO_CONTENT_FIELDS, validatePortfolio } = require('../validators/portfolio');
+const { TEMPLATE_SECTIONS, validateTemplateUpdate } = require('../validators/template');
+const { PORTFOLIO_STATUS, getDraftContent } = require('../utils/portfolioViews');
+const { buildIndexFields } = require('../utils/portfolioIndex');
+const { indexPortfolio, removePortfolio } = require('./searchIndex');
+const { syncPortfolioAssets } = require('./assets');
+
+const db = admin.firestore();
+const portfoliosCollection = db.collection('portfolios');
+
+// Build the update that copies the draft onto the live (top-level) fields.
+// Content fields missing from the draft are removed from the live version,
+// and the listing filter fields are rebuilt from the new live content.
+const buildPublishUpdate = (data) => {
+  const draft = getDraftContent(data);
+  const update = {
+    ...buildIndexFields(draft),
+    status: PORTFOLIO_STATUS.PUBLISHED,
+    draft,
+    hasUnpublishedChanges: false,
+    publishAt: null,
+    publishedAt: admin.firestore.FieldValue.serverTimestamp(),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  };
+
+  PORTFOLIO_CONTENT_FIELDS.forEach(field => {
+    update[field] = draft[field] !== undefined
+      ? draft[field]
+      : admin.firestore.FieldValue.delete();
+  });
+
+  return update;
+};
+
+// A draft has to be complete, and fit its template, before it can go live.
+// Drafts on a templateId from before the registry only need to pass the schema.
+const validateDraftForPublish = (data) => {
+  const draft = getDraftContent(data);
+  const { errors } = validatePortfolio(draft);
+  return [...errors, ...validateTemplateUpdate(draft, draft, TEMPLATE_SECTIONS).errors];
+};
+
+// Publish the current draft immediately
+const publishPortfolio = async (portfolioId) => {
+  const docRef = portfoliosCollection.doc(portfolioId);
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) {
+      throw new Error('Portfolio not found');
+    }
+    transaction.update(docRef, buildPublishUpdate(doc.data()));
+  });
+
+  const published = await docRef.get();
+  indexPortfolio(published.id, published.data());
+  // Images only the old published version used are no longer needed
+  await syncPortfolioAssets(published.id, published.data());
+};
+
+// Schedule the current draft to be published by the background job
+const schedulePublish = async (portfolioId, publishAt) => {
+  await portfoliosCollection.doc(portfolioId).update({
+    publishAt: admin.firestore.Timestamp.fromDate(publishAt),
+    updatedAt: admin.firestore.FieldValue.serverTimestamp()
+  });
+};
+
+// Take the portfolio offline; the content is kept as the draft
+const unpublishPortfolio = async (portfolioId) => {
+  const docRef = portfoliosCollection.doc(portfolioId);
+
+  await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) {
+      throw new Error('Portfolio not found');
+    }
+    transaction.update(docRef, {
+      status: PORTFOLIO_STATUS.DRAFT,
+      draft: getDraftContent(doc.data()),
+      publishAt: null,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+
+  removePortfolio(portfolioId);
+};
+
+// Take a portfolio offline on an admin's behalf. The owner keeps the content
+// but can't publish it again until it is restored. `source` records why:
+// 'admin' for a direct takedown, 'suspension' when the owner was suspended.
+// Returns false if it was already taken down.
+const takeDownPortfolio = async (portfolioId, { reason, by, source = 'admin' }) => {
+  const docRef = portfoliosCollection.doc(portfolioId);
+
+  const changed = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) {
+      throw new Error('Portfolio not found');
+    }
+
+    const data = doc.data();
+    if (data.status === PORTFOLIO_STATUS.TAKEN_DOWN) {
+      return false;
+    }
+
+    transaction.update(docRef, {
+      status: PORTFOLIO_STATUS.TAKEN_DOWN,
+      draft: getDraftContent(data),
+      publishAt: null,
+      takedown: {
+        reason: reason || null,
+        by,
+        source,
+        at: admin.firestore.FieldValue.serverTimestamp(),
+        previousStatus: data.status || PORTFOLIO_STATUS.DRAFT
+      },
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+
+  removePortfolio(portfolioId);
+  return changed;
+};
+
+// Lift a takedown, putting the portfolio back in the state it was in.
+// Returns false if it wasn't taken down.
+const restorePortfolio = async (portfolioId) => {
+  const docRef = portfoliosCollection.doc(portfolioId);
+
+  const changed = await db.runTransaction(async (transaction) => {
+    const doc = await transaction.get(docRef);
+    if (!doc.exists) {
+      throw new Error('Portfolio not found');
+    }
+
+    const data = doc.data();
+    if (data.status !== PORTFOLIO_STATUS.TAKEN_DOWN) {
+      return false;
+    }
+
+    transaction.update(docRef, {
+      status: data.takedown?.previousStatus || PORTFOLIO_STATUS.DRAFT,
+      takedown: admin.firestore.FieldValue.delete(),
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+    return true;
+  });
+
+  const restored = await docRef.get();
+  indexPortfolio(restored.id, restored.data());
+  return changed;
+};
+
+// Publish every portfolio whose publishAt time has passed.
+// Returns the ids that were published.
+const publishDuePortfolios = async () => {
+  const now = admin.firestore.Timestamp.now();
+  const snapshot = await portfoliosCollection
+    .where('publishAt', '<=', now)
+    .get();
+
+  const published = [];
+
+  for (const doc of snapshot.docs) {
+    let didPublish = false;
+
+    try {
+      await db.runTransaction(async (transaction) => {
+        const fresh = await transaction.get(doc.ref);
+        const data = fresh.data();
+
+        // Skip if it was unpublished, rescheduled or taken down in the meantime
+        if (!fresh.exists || !data.publishAt || data.publishAt.toMillis() > now.toMillis()) {
+          return;
+        }
+
+        if (data.status === PORTFOLIO_STATUS.TAKEN_DOWN) {
+          transaction.update(doc.ref, { publishAt: null });
+          return;
+        }
+
+        if (validateDraftForPublish(data).length > 0) {
+          transaction.update(doc.ref, { publishAt: null, publishError: 'Draft is incomplete' });
+          return;
+        }
+
+        transaction.update(doc.ref, { ...buildPublishUpdate(data), publishError: null });
+        didPublish = true;
+      });
+
+      if (didPublish) {
+        const fresh = await doc.ref.get();
+        indexPortfolio(fresh.id, fresh.data());
+        await syncPortfolioAssets(fresh.id, fresh.data());
+        published.push(doc.id);
+      }
+    } catch (error) {
+      console.error(`Error publishing scheduled portfolio ${doc.id}:`, error);
+    }
+  }
+
+  return published;
+};
+
+module.exports = {
+  validateDraftForPublish,
+  publishPortfolio,
+  schedulePublish,
+  unpublishPortfolio,
+  takeDownPortfolio,
+  restorePortfolio,
+  publishDuePortfolios
+};
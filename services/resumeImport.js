@@ -0,0 +1,469 @@
+// services/resumeImport.js
+// Turns a résumé into a portfolio draft for POST /api/portfolios/import.
+// Accepts a JSON Resume document (https://jsonresume.org/schema/), plain text
+// or a PDF, whose text is read like plain text. Nothing is saved: the caller
+// gets the draft back to review and then submits it through the normal
+// create.
+//
+// Plain text is read with simple rules (section headings, date ranges, bullet
+// points), so the draft is a starting point rather than a finished portfolio.
+const pdfParse = require('pdf-parse');
+const { fit } = require('../utils/schema');
+const { portfolioSchema, validatePortfolio } = require('../validators/portfolio');
+const { validateTemplateContent } = require('../validators/template');
+
+const DEFAULT_TEMPLATE_ID = 'modern';
+const MAX_PDF_PAGES = 10;
+// Around ten dense pages; longer lines are cut so no single line can make
+// the pattern matching below slow
+const MAX_TEXT_LENGTH = 30000;
+const MAX_LINE_LENGTH = 500;
+
+const importError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const asArray = (value) => (Array.isArray(value) ? value : []);
+
+const isObject = (value) => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+// The object entries of a list; null or malformed entries are skipped
+const objectsIn = (value) => asArray(value).filter(isObject);
+
+const unique = (values) => {
+  const seen = new Set();
+  return values.filter(value => {
+    if (typeof value !== 'string' || !value.trim()) return false;
+    const key = value.trim().toLowerCase();
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+};
+
+// Prefix bare domains found in text, e.g. github.com/jane
+const withProtocol = (url) => (url && !/^https?:\/\//i.test(url) ? `https://${url}` : url);
+
+// ---------------------------------------------------------------------------
+// JSON Resume
+
+const PROFILE_NETWORKS = {
+  linkedin: 'linkedin',
+  github: 'github',
+  twitter: 'twitter',
+  x: 'twitter'
+};
+
+// JSON Resume dates are YYYY, YYYY-MM or YYYY-MM-DD; ours need the month
+const normalizeDate = (value) => {
+  const match = typeof value === 'string' && /^(\d{4})(?:-(\d{2}))?(?:-(\d{2}))?/.exec(value.trim());
+  if (!match) return undefined;
+  return [match[1], match[2] || '01', match[3]].filter(Boolean).join('-');
+};
+
+const formatLocation = (location) => {
+  if (typeof location === 'string') return location;
+  if (!isObject(location)) return undefined;
+  return [location.city, location.region, location.countryCode].filter(Boolean).join(', ') || undefined;
+};
+
+const fromJsonResume = (resume) => {
+  const basics = isObject(resume.basics) ? resume.basics : {};
+  const location = formatLocation(basics.location);
+
+  const profiles = {};
+  objectsIn(basics.profiles).forEach(profile => {
+    const network = PROFILE_NETWORKS[String(profile.network || '').toLowerCase()];
+    if (network && !profiles[network]) {
+      profiles[network] = profile.url;
+    }
+  });
+
+  return {
+    heroSection: {
+      name: basics.name,
+      title: basics.label,
+      profileImage: basics.image
+    },
+    aboutMe: {
+      bio: basics.summary,
+      location
+    },
+    skills: unique(objectsIn(resume.skills).flatMap(skill => [skill.name, ...asArray(skill.keywords)])),
+    experience: objectsIn(resume.work).map(job => ({
+      company: job.name || job.company,
+      position: job.position,
+      location: job.location,
+      startDate: normalizeDate(job.startDate),
+      endDate: normalizeDate(job.endDate),
+      current: Boolean(job.startDate) && !job.endDate,
+      description: job.summary,
+      achievements: asArray(job.highlights)
+    })),
+    projects: objectsIn(resume.projects).map(project => ({
+      title: project.name,
+      description: project.description,
+      technologies: asArray(project.keywords),
+      liveUrl: project.url,
+      startDate: normalizeDate(project.startDate),
+      endDate: normalizeDate(project.endDate)
+    })),
+    education: objectsIn(resume.education).map(item => ({
+      institution: item.institution,
+      degree: item.studyType,
+      field: item.area,
+      startDate: normalizeDate(item.startDate),
+      endDate: normalizeDate(item.endDate),
+      grade: item.score,
+      description: asArray(item.courses).filter(course => typeof course === 'string').join(', ') || undefined
+    })),
+    testimonials: objectsIn(resume.references).map(reference => ({
+      name: reference.name,
+      text: reference.reference
+    })),
+    contact: {
+      email: basics.email,
+      phone: basics.phone,
+      location,
+      website: basics.url || basics.website,
+      linkedin: profiles.linkedin,
+      github: profiles.github,
+      twitter: profiles.twitter
+    }
+  };
+};
+
+// ---------------------------------------------------------------------------
+// Plain text
+
+const SECTION_HEADINGS = {
+  summary: /^(summary|profile|about( me)?|objective|professional summary|career summary)$/,
+  experience: /^(experience|work experience|professional experience|employment( history)?|work history)$/,
+  education: /^(education|academic background|qualifications)$/,
+  skills: /^(skills|technical skills|key skills|core competencies|technologies)$/,
+  projects: /^(projects|personal projects|selected projects|side projects)$/,
+  contact: /^(contact|contact details|contact information|contact info)$/
+};
+
+const MONTHS = ['jan', 'feb', 'mar', 'apr', 'may', 'jun', 'jul', 'aug', 'sep', 'oct', 'nov', 'dec'];
+const TEXT_DATE = '(?:(?:jan|feb|mar|apr|may|jun|jul|aug|sep|oct|nov|dec)[a-z]*\\.?\\s+\\d{4}|\\d{1,2}/\\d{4}|\\d{4}-\\d{2}|\\d{4})';
+const DATE_RANGE_PATTERN = new RegExp(`(${TEXT_DATE})\\s*(?:-|–|—|to)\\s*(${TEXT_DATE}|present|current|now|today)`, 'i');
+
+const EMAIL_PATTERN = /[^\s@<>()]+@[^\s@<>()]+\.[a-z]{2,}/i;
+const PHONE_PATTERN = /\+?\d[\d\s().-]{7,}\d/;
+// Links need a scheme or a common top-level domain, so names such as
+// Node.js or Vue.js aren't taken for websites. The text is split into tokens
+// and each token is matched whole, which keeps matching linear in the length
+// of the text.
+const URL_TLDS = 'com|org|net|io|dev|me|co|app|ai|tech|info|site|page|xyz|design|uk|de|fr|nl|es|it|ch|se|eu|ca|au|in';
+const URL_PATTERN = new RegExp(`^(?:https?:\\/\\/\\S+|(?:www\\.)?[a-z0-9-]+(?:\\.[a-z0-9-]+)*\\.(?:${URL_TLDS})(?:\\/\\S*)?)$`, 'i');
+const URL_TOKEN_PATTERN = /[^\s|,;]+/g;
+const MAX_URL_LENGTH = 300;
+const MAX_URLS = 20;
+const BULLET_PATTERN = /^[•\-*▪◦·●]\s*/;
+const DEGREE_PATTERN = /\b(bachelor|master|doctor|ph\.?\s?d|mba|b\.?\s?sc|m\.?\s?sc|b\.?\s?a|m\.?\s?a|b\.?\s?s|m\.?\s?s|b\.?\s?tech|m\.?\s?tech|b\.?\s?eng|m\.?\s?eng|associate|diploma|degree)\b/i;
+
+// A token stripped of the brackets, quotes or full stop around it, if it is
+// a link
+const urlToken = (token) => {
+  if (token.length > MAX_URL_LENGTH) return null;
+  const url = token.replace(/^[(<["']+/, '').replace(/[)>\]"'.:]+$/, '');
+  return URL_PATTERN.test(url) ? url : null;
+};
+
+// The first MAX_URLS links in a piece of text
+const findUrls = (text) => (text.match(URL_TOKEN_PATTERN) || [])
+  .map(urlToken)
+  .filter(Boolean)
+  .slice(0, MAX_URLS);
+
+const withoutUrls = (text) => text.replace(URL_TOKEN_PATTERN, token => (urlToken(token) ? '' : token));
+
+const headingOf = (line) => {
+  const normalized = line.toLowerCase().replace(/[:\s]+$/, '').replace(/\s+/g, ' ').trim();
+  return Object.keys(SECTION_HEADINGS).find(section => SECTION_HEADINGS[section].test(normalized)) || null;
+};
+
+// 'Jan 2020', '01/2020', '2020-01' or '2020' -> '2020-01'
+const parseTextDate = (value) => {
+  const text = value.trim().toLowerCase();
+  let match = /^([a-z]+)\.?\s+(\d{4})$/.exec(text);
+  if (match) {
+    const month = MONTHS.indexOf(match[1].slice(0, 3)) + 1;
+    return month > 0 ? `${match[2]}-${String(month).padStart(2, '0')}` : undefined;
+  }
+  match = /^(\d{1,2})\/(\d{4})$/.exec(text);
+  if (match) return `${match[2]}-${match[1].padStart(2, '0')}`;
+  match = /^(\d{4})(?:-(\d{2}))?$/.exec(text);
+  if (match) return `${match[1]}-${match[2] || '01'}`;
+  return undefined;
+};
+
+// Find a date range in a block's lines and take it out of the text.
+// Returns { startDate, endDate, current, lines }.
+const extractDateRange = (lines) => {
+  for (let i = 0; i < lines.length; i++) {
+    const match = DATE_RANGE_PATTERN.exec(lines[i]);
+    if (match) {
+      const current = /^(present|current|now|today)$/i.test(match[2]);
+      const rest = lines[i].replace(match[0], '').replace(/^[\s|,–—-]+|[\s|,–—-]+$/g, '');
+      return {
+        startDate: parseTextDate(match[1]),
+        endDate: current ? undefined : parseTextDate(match[2]),
+        current,
+        lines: [...lines.slice(0, i), ...(rest ? [rest] : []), ...lines.slice(i + 1)]
+      };
+    }
+  }
+  return { lines };
+};
+
+// Split a section into entries: at blank lines, and where a plain line
+// follows bullet points
+const splitBlocks = (lines) => {
+  const blocks = [];
+  let current = [];
+  let previousWasBullet = false;
+
+  lines.forEach(line => {
+    const isBullet = BULLET_PATTERN.test(line);
+    if (!line || (!isBullet && previousWasBullet)) {
+      if (current.length) blocks.push(current);
+      current = [];
+    }
+    if (line) current.push(line);
+    previousWasBullet = isBullet;
+  });
+
+  if (current.length) blocks.push(current);
+  return blocks;
+};
+
+const splitBullets = (lines) => ({
+  bullets: lines.filter(line => BULLET_PATTERN.test(line)).map(line => line.replace(BULLET_PATTERN, '')),
+  text: lines.filter(line => !BULLET_PATTERN.test(line))
+});
+
+// 'Engineer at Acme', 'Engineer | Acme', 'Engineer, Acme' -> [Engineer, Acme]
+const splitRole = (line) => {
+  const at = line.split(/\s+at\s+/i);
+  if (at.length === 2) return at;
+  return line.split(/\s+[|–—-]\s+|,\s+/).slice(0, 2);
+};
+
+const parseExperience = (block) => {
+  const { startDate, endDate, current, lines } = extractDateRange(block);
+  const { bullets, text } = splitBullets(lines);
+  let [position, company] = splitRole(text[0] || '');
+  let rest = text.slice(1);
+
+  if (!company && rest.length) {
+    company = rest[0];
+    rest = rest.slice(1);
+  }
+
+  return {
+    position,
+    company,
+    startDate,
+    endDate,
+    current: Boolean(current),
+    description: rest.join('\n') || undefined,
+    achievements: bullets
+  };
+};
+
+const GRADE_PATTERN = /\b(?:gpa|grade)\s*:?\s*([\w./]+)/i;
+
+// The degree line can also name the field and the institution, e.g.
+// 'BSc in Computer Science, MIT'; other plain lines name the institution
+const parseEducation = (block) => {
+  const { startDate, endDate, lines } = extractDateRange(block);
+  const { text } = splitBullets(lines);
+  const degreeLine = text.find(line => DEGREE_PATTERN.test(line));
+  const gradeMatch = GRADE_PATTERN.exec(lines.join(' '));
+  let institution = text.find(line => line !== degreeLine && !GRADE_PATTERN.test(line));
+  let degree;
+  let field;
+
+  if (degreeLine) {
+    const parts = degreeLine.split(/,\s+|\s+[|–—-]\s+|\s+at\s+/i);
+    const degreePart = parts.find(part => DEGREE_PATTERN.test(part));
+    const rest = parts.filter(part => part !== degreePart);
+    [degree, field] = degreePart.split(/\s+in\s+/i);
+
+    // The institution usually comes last: 'BSc, Computer Science, MIT'
+    if (!institution) institution = rest.pop();
+    if (!field) field = rest[0];
+  }
+
+  return {
+    institution,
+    degree,
+    field,
+    startDate,
+    endDate,
+    grade: gradeMatch ? gradeMatch[1] : undefined
+  };
+};
+
+const parseProject = (block) => {
+  const { startDate, endDate, lines } = extractDateRange(block);
+  const technologiesLine = lines.find(line => /^(technologies|tech stack|stack|built with|tools)\s*:/i.test(line.replace(BULLET_PATTERN, '')));
+  // Project text names libraries such as Socket.io, so links there also
+  // need a scheme, www. or a path
+  const urls = findUrls(lines.join(' '))
+    .filter(url => /^(https?:\/\/|www\.)|\//i.test(url))
+    .map(withProtocol);
+  const description = lines
+    .filter(line => line !== lines[0] && line !== technologiesLine)
+    .map(line => line.replace(BULLET_PATTERN, ''))
+    .join('\n');
+
+  return {
+    title: withoutUrls(lines[0]).replace(/[\s|,–—-]+$/, ''),
+    description: description || undefined,
+    technologies: technologiesLine ? technologiesLine.replace(/^[^:]*:/, '').split(/[,|;•]/).map(item => item.trim()) : [],
+    liveUrl: urls.find(url => !/github\.com/i.test(url)),
+    githubUrl: urls.find(url => /github\.com/i.test(url)),
+    startDate,
+    endDate
+  };
+};
+
+const parseSkills = (lines) => unique(lines.flatMap(line => line
+  .replace(BULLET_PATTERN, '')
+  // Drop a short label such as 'Languages:'
+  .replace(/^[^:]{1,30}:\s*/, '')
+  .split(/[,•|;·]/)
+  .map(skill => skill.trim())));
+
+// Contact details are only looked for in the header and a Contact section
+const findContact = (lines) => {
+  const text = lines.join('\n');
+  const urls = findUrls(text)
+    .filter(url => !EMAIL_PATTERN.test(url) && !text.includes(`@${url}`))
+    .map(withProtocol);
+  const email = EMAIL_PATTERN.exec(text);
+  const phone = PHONE_PATTERN.exec(lines.filter(line => !DATE_RANGE_PATTERN.test(line)).join('\n'));
+
+  return {
+    email: email ? email[0] : undefined,
+    phone: phone ? phone[0].trim() : undefined,
+    linkedin: urls.find(url => /linkedin\.com/i.test(url)),
+    github: urls.find(url => /github\.com/i.test(url)),
+    twitter: urls.find(url => /(twitter|x)\.com/i.test(url)),
+    website: urls.find(url => !/(linkedin|github|twitter|x)\.com/i.test(url))
+  };
+};
+
+const fromText = (input) => {
+  const text = input.slice(0, MAX_TEXT_LENGTH).replace(/\r\n?/g, '\n');
+  const sections = { header: [] };
+  let section = 'header';
+
+  text.split('\n').map(line => line.trim().slice(0, MAX_LINE_LENGTH)).forEach(line => {
+    const heading = line && line.length < 40 ? headingOf(line) : null;
+    if (heading) {
+      section = heading;
+      sections[section] = sections[section] || [];
+    } else {
+      sections[section].push(line);
+    }
+  });
+
+  const contact = findContact([...sections.header, ...(sections.contact || [])]);
+  // The name and title are the first header lines that aren't contact details
+  const [name, title] = sections.header.filter(line => line
+    && !EMAIL_PATTERN.test(line)
+    && !PHONE_PATTERN.test(line)
+    && !findUrls(line).some(url => url.length > line.length / 2));
+  const summary = splitBlocks(sections.summary || []).map(block => block.join(' ')).join('\n\n');
+
+  return {
+    heroSection: { name, title: title && title.length <= 120 ? title : undefined },
+    aboutMe: { bio: summary || undefined },
+    skills: parseSkills((sections.skills || []).filter(Boolean)),
+    experience: splitBlocks(sections.experience || []).map(parseExperience),
+    projects: splitBlocks(sections.projects || []).map(parseProject),
+    education: splitBlocks(sections.education || []).map(parseEducation),
+    contact
+  };
+};
+
+// ---------------------------------------------------------------------------
+
+const readPdf = async (buffer) => {
+  let data;
+  try {
+    // The bundled pdf.js misreads Node Buffers; give it a plain byte array
+    data = await pdfParse(new Uint8Array(buffer), { max: MAX_PDF_PAGES });
+  } catch (error) {
+    throw importError('RESUME_UNREADABLE', 'Could not read the PDF');
+  }
+
+  if (!data.text || !data.text.trim()) {
+    throw importError('RESUME_EMPTY', 'The PDF has no text to import. Scanned résumés are not supported.');
+  }
+  return data.text;
+};
+
+const parseJson = (value) => {
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    throw importError('INVALID_RESUME', 'The résumé is not valid JSON');
+  }
+};
+
+// Work out what was sent: a JSON Resume object or string, text, or an
+// uploaded file (PDF, JSON or text). Returns { source, content }.
+const readInput = async ({ resume, text, file }) => {
+  if (file) {
+    if (file.buffer.subarray(0, 5).toString('latin1') === '%PDF-') {
+      return { source: 'pdf', content: fromText(await readPdf(file.buffer)) };
+    }
+
+    const body = file.buffer.toString('utf8');
+    if (file.mimetype === 'application/json' || /^\s*\{/.test(body)) {
+      resume = parseJson(body);
+    } else {
+      text = body;
+    }
+  }
+
+  if (resume !== undefined) {
+    const document = typeof resume === 'string' ? parseJson(resume) : resume;
+    if (!document || typeof document !== 'object' || Array.isArray(document)) {
+      throw importError('INVALID_RESUME', 'The résumé must be a JSON Resume object');
+    }
+    return { source: 'json-resume', content: fromJsonResume(document) };
+  }
+
+  if (typeof text !== 'string' || !text.trim()) {
+    throw importError('RESUME_EMPTY', 'The résumé is empty');
+  }
+  return { source: 'text', content: fromText(text) };
+};
+
+// Build a draft from a résumé. Returns { source, draft, issues,
+// unsupportedSections }: the draft fits the portfolio schema, and issues
+// lists what still has to be filled in or fixed before it can be created.
+const importResume = async ({ resume, text, file, templateId = DEFAULT_TEMPLATE_ID }) => {
+  const { source, content } = await readInput({ resume, text, file });
+
+  const draft = fit(portfolioSchema, { ...content, templateId }) || {};
+  const { errors } = validatePortfolio(draft);
+  const templateCheck = validateTemplateContent(draft);
+
+  return {
+    source,
+    draft,
+    issues: [...errors, ...templateCheck.errors],
+    unsupportedSections: templateCheck.unsupportedSections
+  };
+};
+
+module.exports = { importResume };
@@ -0,0 +1,185 @@
+// services/reviewModeration.js
+// Review reports and the moderation queue.
+//
+// A rating's `moderationStatus` decides whether its review is shown and
+// whether its stars count towards the portfolio's aggregates (see
+// utils/moderation.js). Every status change goes through a transaction that
+// adjusts the aggregates so they only ever include approved ratings.
+//
+// Reports are stored one per user under ratings/{id}/reports/{userId}. Once a
+// review collects REVIEW_REPORT_THRESHOLD reports it is hidden until a
+// moderator approves or rejects it.
+const { admin } = require('../config/firebase');
+const { MODERATION_STATUS, isApproved } = require('../utils/moderation');
+const { applyRatingChange } = require('../utils/ratingAggregates');
+const { encodeCursor, decodeCursor } = require('../utils/pagination');
+
+const db = admin.firestore();
+const ratingsCollection = db.collection('ratings');
+const portfoliosCollection = db.collection('portfolios');
+
+const REPORT_THRESHOLD = parseInt(process.env.REVIEW_REPORT_THRESHOLD) || 3;
+
+const REPORT_REASONS = ['spam', 'offensive', 'off_topic', 'fake', 'other'];
+
+// Statuses waiting for a moderator
+const QUEUE_STATUSES = [MODERATION_STATUS.PENDING, MODERATION_STATUS.HIDDEN];
+
+const moderationError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Within a transaction: move a rating to `status`, updating the portfolio's
+// aggregates if the rating starts or stops counting. All reads happen before
+// this is called, as Firestore requires.
+const applyStatusChange = (transaction, { ratingRef, rating, portfolioDoc, status, fields = {} }) => {
+  const wasCounted = isApproved(rating);
+  const isCounted = status === MODERATION_STATUS.APPROVED;
+
+  transaction.update(ratingRef, { moderationStatus: status, ...fields });
+
+  if (portfolioDoc.exists && wasCounted !== isCounted) {
+    transaction.update(portfolioDoc.ref, applyRatingChange(portfolioDoc.data(), {
+      before: wasCounted ? rating.rating : null,
+      after: isCounted ? rating.rating : null
+    }));
+  }
+};
+
+// Report a review. Returns { reportCount, hidden, alreadyReported }.
+const reportReview = async (ratingId, userId, { reason, details }) => {
+  const ratingRef = ratingsCollection.doc(ratingId);
+  const reportRef = ratingRef.collection('reports').doc(userId);
+
+  return db.runTransaction(async (transaction) => {
+    const [ratingDoc, reportDoc] = await Promise.all([
+      transaction.get(ratingRef),
+      transaction.get(reportRef)
+    ]);
+
+    if (!ratingDoc.exists) {
+      throw moderationError('RATING_NOT_FOUND', 'Rating not found');
+    }
+
+    const rating = ratingDoc.data();
+    const reportCount = rating.reportCount || 0;
+
+    if (rating.userId === userId) {
+      throw moderationError('CANNOT_REPORT_OWN', 'Cannot report your own review');
+    }
+
+    // One report per user
+    if (reportDoc.exists) {
+      return {
+        reportCount,
+        hidden: rating.moderationStatus === MODERATION_STATUS.HIDDEN,
+        alreadyReported: true
+      };
+    }
+
+    const portfolioDoc = await transaction.get(portfoliosCollection.doc(rating.portfolioId));
+    const newCount = reportCount + 1;
+    const shouldHide = isApproved(rating) && newCount >= REPORT_THRESHOLD;
+
+    transaction.create(reportRef, {
+      reason,
+      details: details || null,
+      createdAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+
+    if (shouldHide) {
+      applyStatusChange(transaction, {
+        ratingRef,
+        rating,
+        portfolioDoc,
+        status: MODERATION_STATUS.HIDDEN,
+        fields: { reportCount: newCount, moderationReasons: ['reports'] }
+      });
+    } else {
+      transaction.update(ratingRef, { reportCount: newCount });
+    }
+
+    return {
+      reportCount: newCount,
+      hidden: shouldHide || rating.moderationStatus === MODERATION_STATUS.HIDDEN,
+      alreadyReported: false
+    };
+  });
+};
+
+// Approve or reject a review. Approving clears the report count so that new
+// reports start from zero.
+const moderateReview = async (ratingId, { status, moderatorId, note }) => {
+  const ratingRef = ratingsCollection.doc(ratingId);
+
+  return db.runTransaction(async (transaction) => {
+    const ratingDoc = await transaction.get(ratingRef);
+
+    if (!ratingDoc.exists) {
+      throw moderationError('RATING_NOT_FOUND', 'Rating not found');
+    }
+
+    const rating = ratingDoc.data();
+    const portfolioDoc = await transaction.get(portfoliosCollection.doc(rating.portfolioId));
+
+    const fields = {
+      moderatedBy: moderatorId,
+      moderatedAt: admin.firestore.Timestamp.now(),
+      moderationNote: note || null
+    };
+    if (status === MODERATION_STATUS.APPROVED) {
+      fields.reportCount = 0;
+      fields.moderationReasons = [];
+    }
+
+    applyStatusChange(transaction, { ratingRef, rating, portfolioDoc, status, fields });
+
+    return { id: ratingId, ...rating, ...fields, moderationStatus: status };
+  });
+};
+
+// Reviews waiting for a moderator, oldest first.
+// Returns { docs, nextCursor } where nextCursor is null on the last page.
+const listModerationQueue = async ({ status, limit, cursor }) => {
+  let query = ratingsCollection
+    .where('moderationStatus', 'in', status ? [status] : QUEUE_STATUSES)
+    .orderBy('createdAt', 'asc')
+    .orderBy(admin.firestore.FieldPath.documentId(), 'asc');
+
+  if (cursor) {
+    const position = decodeCursor(cursor);
+    if (!position) {
+      throw moderationError('INVALID_CURSOR', 'Invalid cursor');
+    }
+    query = query.startAfter(position.createdAt, position.id);
+  }
+
+  const snapshot = await query.limit(limit + 1).get();
+  const docs = snapshot.docs.slice(0, limit);
+
+  return {
+    docs,
+    nextCursor: snapshot.docs.length > limit ? encodeCursor(docs[docs.length - 1]) : null
+  };
+};
+
+// All reports filed against a review, newest first
+const getReviewReports = async (ratingId) => {
+  const snapshot = await ratingsCollection.doc(ratingId)
+    .collection('reports')
+    .orderBy('createdAt', 'desc')
+    .get();
+
+  return snapshot.docs.map(doc => ({ userId: doc.id, ...doc.data() }));
+};
+
+module.exports = {
+  REPORT_REASONS,
+  QUEUE_STATUSES,
+  reportReview,
+  moderateReview,
+  listModerationQueue,
+  getReviewReports
+};
@@ -0,0 +1,342 @@
+// services/searchIndex.js
+// In-process full-text index over published portfolios.
+//
+// The index lives in memory: it is loaded from Firestore on startup, kept up
+// to date by the publish/unpublish/delete code paths and periodically rebuilt
+// (see jobs/searchIndexRefresh.js) so that writes made by other server
+// instances are picked up too.
+const { admin } = require('../config/firebase');
+const { PORTFOLIO_STATUS, isPublished } = require('../utils/portfolioViews');
+
+// How much a match in each field counts towards the score
+const FIELD_WEIGHTS = {
+  name: 5,
+  title: 4,
+  skills: 4,
+  tagline: 3,
+  projectTitles: 3,
+  aboutMe: 1.5,
+  projectDescriptions: 1
+};
+
+// Fields that snippets are cut from, in order of preference
+const SNIPPET_FIELDS = ['tagline', 'aboutMe', 'projectDescriptions', 'projectTitles', 'title', 'name'];
+const SNIPPET_RADIUS = 60;
+
+const STOP_WORDS = new Set([
+  'a', 'an', 'and', 'are', 'as', 'at', 'be', 'by', 'for', 'from', 'in', 'is',
+  'it', 'of', 'on', 'or', 'the', 'to', 'with'
+]);
+
+// term -> Map(portfolioId -> { field: termFrequency })
+const postings = new Map();
+// portfolioId -> { fields, skills, role, summary, terms }
+const documents = new Map();
+
+const normalizeText = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+};
+
+const tokenize = (text) => {
+  return normalizeText(text)
+    .split(/[^a-z0-9+#]+/)
+    .filter(token => token.length > 1 && !STOP_WORDS.has(token));
+};
+
+// Typo tolerance grows with the length of the word
+const maxTypos = (term) => {
+  if (term.length <= 3) return 0;
+  if (term.length <= 7) return 1;
+  return 2;
+};
+
+// Levenshtein distance, giving up early once it exceeds `limit`
+const editDistance = (a, b, limit) => {
+  if (Math.abs(a.length - b.length) > limit) return limit + 1;
+
+  let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+      rowMin = Math.min(rowMin, current[j]);
+    }
+    if (rowMin > limit) return limit + 1;
+    previous = current;
+  }
+  return previous[b.length];
+};
+
+const extractFields = (data) => {
+  const projects = Array.isArray(data.projects) ? data.projects : [];
+  const aboutMe = data.aboutMe && typeof data.aboutMe === 'object' ? data.aboutMe.bio : data.aboutMe;
+
+  return {
+    name: data.heroSection?.name || '',
+    title: data.heroSection?.title || '',
+    tagline: data.heroSection?.tagline || '',
+    aboutMe: aboutMe || '',
+    skills: (Array.isArray(data.skills) ? data.skills : []).join(', '),
+    projectTitles: projects.map(project => project.title).filter(Boolean).join(', '),
+    projectDescriptions: projects.map(project => project.description).filter(Boolean).join(' ')
+  };
+};
+
+const removePortfolio = (portfolioId) => {
+  const existing = documents.get(portfolioId);
+  if (!existing) return;
+
+  existing.terms.forEach(term => {
+    const entries = postings.get(term);
+    if (!entries) return;
+    entries.delete(portfolioId);
+    if (entries.size === 0) {
+      postings.delete(term);
+    }
+  });
+  documents.delete(portfolioId);
+};
+
+// Add or refresh a portfolio. Anything that isn't published, or whose owner
+// is hidden from the directory, is removed.
+const indexPortfolio = (portfolioId, data) => {
+  removePortfolio(portfolioId);
+
+  if (!data || !isPublished(data) || data.ownerHidden) return;
+
+  const fields = extractFields(data);
+  const terms = new Set();
+
+  Object.entries(fields).forEach(([field, text]) => {
+    tokenize(text).forEach(term => {
+      terms.add(term);
+      if (!postings.has(term)) {
+        postings.set(term, new Map());
+      }
+      const entry = postings.get(term);
+      const frequencies = entry.get(portfolioId) || {};
+      frequencies[field] = (frequencies[field] || 0) + 1;
+      entry.set(portfolioId, frequencies);
+    });
+  });
+
+  documents.set(portfolioId, {
+    fields,
+    terms,
+    skills: (Array.isArray(data.skills) ? data.skills : []).map(skill => normalizeText(skill).trim()),
+    role: normalizeText(data.heroSection?.title || '').trim(),
+    summary: {
+      id: portfolioId,
+      userId: data.userId,
+      slug: data.slug,
+      templateId: data.templateId,
+      heroSection: data.heroSection || null,
+      skills: data.skills || [],
+      featured: Boolean(data.featured),
+      averageRating: data.averageRating || 0
+    }
+  });
+};
+
+// Index terms a query term matches, with how good each match is
+const expandTerm = (queryTerm, isLast) => {
+  const matches = [];
+  const typos = maxTypos(queryTerm);
+
+  postings.forEach((_, term) => {
+    if (term === queryTerm) {
+      matches.push({ term, quality: 1 });
+    } else if (isLast && queryTerm.length >= 2 && term.startsWith(queryTerm)) {
+      // The last word may still be being typed
+      matches.push({ term, quality: 0.8 });
+    } else if (typos > 0) {
+      const distance = editDistance(queryTerm, term, typos);
+      if (distance <= typos) {
+        matches.push({ term, quality: distance === 1 ? 0.6 : 0.4 });
+      }
+    }
+  });
+
+  return matches;
+};
+
+const escapeHtml = (text) => {
+  return text
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+// Cut a snippet around the first matching word and wrap matches in <mark>
+const highlight = (text, matchedTerms) => {
+  if (!text || matchedTerms.length === 0) return null;
+
+  const pattern = new RegExp(`(^|[^a-z0-9+#])(${matchedTerms.map(escapeRegExp).join('|')})(?=$|[^a-z0-9+#])`, 'i');
+  const normalized = normalizeText(text);
+  const match = pattern.exec(normalized);
+  if (!match) return null;
+
+  const start = Math.max(0, match.index - SNIPPET_RADIUS);
+  const end = Math.min(text.length, match.index + match[0].length + SNIPPET_RADIUS);
+  const globalPattern = new RegExp(pattern.source, 'gi');
+
+  // NFKD can change string length for accented input; highlight on the
+  // normalized text in that case so offsets line up
+  const source = normalized.length === text.length ? text : normalized;
+  const excerpt = source.slice(start, end);
+  const matchable = normalized.slice(start, end);
+
+  // Find the matches in the unescaped text, then escape each piece, so a
+  // match can never land inside an HTML entity
+  let marked = '';
+  let last = 0;
+  let found;
+  while ((found = globalPattern.exec(matchable)) !== null) {
+    const wordStart = found.index + found[1].length;
+    const wordEnd = wordStart + found[2].length;
+    marked += `${escapeHtml(excerpt.slice(last, wordStart))}<mark>${escapeHtml(excerpt.slice(wordStart, wordEnd))}</mark>`;
+    last = wordEnd;
+  }
+  marked += escapeHtml(excerpt.slice(last));
+
+  return `${start > 0 ? '…' : ''}${marked}${end < text.length ? '…' : ''}`;
+};
+
+const countFacets = (ids) => {
+  const skills = {};
+  const roles = {};
+
+  ids.forEach(id => {
+    const doc = documents.get(id);
+    new Set(doc.skills).forEach(skill => {
+      if (skill) skills[skill] = (skills[skill] || 0) + 1;
+    });
+    if (doc.role) {
+      roles[doc.role] = (roles[doc.role] || 0) + 1;
+    }
+  });
+
+  const toList = (counts) => Object.entries(counts)
+    .map(([value, count]) => ({ value, count }))
+    .sort((a, b) => b.count - a.count || a.value.localeCompare(b.value))
+    .slice(0, 20);
+
+  return { skills: toList(skills), roles: toList(roles) };
+};
+
+// Search the index.
+// options: { skill, role, offset, limit }
+// Returns { total, results, facets }
+const search = (query, { skill, role, offset = 0, limit = 20 } = {}) => {
+  const queryTerms = Array.from(new Set(tokenize(query)));
+  if (queryTerms.length === 0) {
+    return { total: 0, results: [], facets: { skills: [], roles: [] } };
+  }
+
+  const totalDocs = documents.size || 1;
+  // portfolioId -> { score, matchedQueryTerms, matchedTerms }
+  const scores = new Map();
+
+  queryTerms.forEach((queryTerm, index) => {
+    const best = new Map();
+
+    expandTerm(queryTerm, index === queryTerms.length - 1).forEach(({ term, quality }) => {
+      const entries = postings.get(term);
+      const idf = Math.log(1 + totalDocs / entries.size);
+
+      entries.forEach((frequencies, id) => {
+        const termScore = Object.entries(frequencies).reduce((sum, [field, tf]) => {
+          return sum + FIELD_WEIGHTS[field] * (1 + Math.log(tf));
+        }, 0) * idf * quality;
+
+        const current = best.get(id);
+        if (!current || termScore > current.score) {
+          best.set(id, { score: termScore, terms: current ? [...current.terms, term] : [term] });
+        } else {
+          current.terms.push(term);
+        }
+      });
+    });
+
+    best.forEach(({ score, terms }, id) => {
+      const entry = scores.get(id) || { score: 0, matchedQueryTerms: 0, matchedTerms: [] };
+      entry.score += score;
+      entry.matchedQueryTerms += 1;
+      entry.matchedTerms.push(...terms);
+      scores.set(id, entry);
+    });
+  });
+
+  const skillFilter = skill ? normalizeText(skill).trim() : null;
+  const roleFilter = role ? normalizeText(role).trim() : null;
+
+  // Portfolios matching every query word rank above partial matches
+  let ranked = Array.from(scores.entries())
+    .map(([id, entry]) => ({
+      id,
+      ...entry,
+      score: entry.score * Math.pow(entry.matchedQueryTerms / queryTerms.length, 2)
+    }));
+
+  // Facets are counted before the facet filters so the counts stay useful
+  const facets = countFacets(ranked.map(entry => entry.id));
+
+  ranked = ranked
+    .filter(({ id }) => {
+      const doc = documents.get(id);
+      if (skillFilter && !doc.skills.includes(skillFilter)) return false;
+      if (roleFilter && !doc.role.includes(roleFilter)) return false;
+      return true;
+    })
+    .sort((a, b) => b.score - a.score);
+
+  const results = ranked.slice(offset, offset + limit).map(({ id, score, matchedTerms }) => {
+    const doc = documents.get(id);
+    const terms = Array.from(new Set(matchedTerms));
+    const highlights = {};
+
+    SNIPPET_FIELDS.forEach(field => {
+      const snippet = highlight(doc.fields[field], terms);
+      if (snippet) {
+        highlights[field] = snippet;
+      }
+    });
+
+    return {
+      ...doc.summary,
+      score: Math.round(score * 1000) / 1000,
+      highlights
+    };
+  });
+
+  return { total: ranked.length, results, facets };
+};
+
+// Reload the whole index from Firestore
+const rebuildSearchIndex = async () => {
+  const snapshot = await admin.firestore()
+    .collection('portfolios')
+    .where('status', '==', PORTFOLIO_STATUS.PUBLISHED)
+    .get();
+
+  postings.clear();
+  documents.clear();
+  snapshot.forEach(doc => indexPortfolio(doc.id, doc.data()));
+
+  return documents.size;
+};
+
+module.exports = {
+  indexPortfolio,
+  removePortfolio,
+  rebuildSearchIndex,
+  search
+};
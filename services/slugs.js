@@ -0,0 +1,193 @@
+// services/slugs.js
+// Public portfolio URLs.
+//
+// Every slug a portfolio has ever used is kept in the `slugs` collection
+// (document id = slug, value = { portfolioId }). The portfolio document holds
+// the current slug; any other slug pointing at it is an old one that should
+// redirect, so shared links keep working after a rename.
+const crypto = require('crypto');
+const { admin } = require('../config/firebase');
+
+const db = admin.firestore();
+const slugsCollection = db.collection('slugs');
+const portfoliosCollection = db.collection('portfolios');
+
+const MIN_LENGTH = 3;
+const MAX_LENGTH = 60;
+const SLUG_PATTERN = /^[a-z0-9]+(?:-[a-z0-9]+)*$/;
+
+// Slugs that would clash with app routes or be confusing as a vanity URL
+const RESERVED_SLUGS = new Set([
+  'about', 'account', 'admin', 'api', 'assets', 'auth', 'by-slug', 'contact',
+  'dashboard', 'edit', 'explore', 'help', 'home', 'login', 'logout', 'me',
+  'my', 'new', 'portfolio', 'portfolios', 'privacy', 'public', 'register',
+  'root', 'search', 'settings', 'signin', 'signup', 'static', 'support',
+  'system', 'templates', 'terms', 'upload', 'uploads', 'user', 'users', 'www'
+]);
+
+// Firestore ALREADY_EXISTS
+const ALREADY_EXISTS = 6;
+
+const slugError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+// Turn arbitrary text (usually the hero name) into a URL-safe slug
+const slugify = (text = '') => {
+  return text
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '')
+    .slice(0, MAX_LENGTH)
+    .replace(/-+$/g, '');
+};
+
+// Returns an error message for an owner-chosen slug, or null if it is usable
+const validateVanitySlug = (slug) => {
+  if (typeof slug !== 'string' || slug.length < MIN_LENGTH || slug.length > MAX_LENGTH) {
+    return `Slug must be between ${MIN_LENGTH} and ${MAX_LENGTH} characters`;
+  }
+  if (!SLUG_PATTERN.test(slug)) {
+    return 'Slug can only contain lowercase letters, numbers and single hyphens';
+  }
+  if (RESERVED_SLUGS.has(slug)) {
+    return 'This slug is reserved';
+  }
+  return null;
+};
+
+// Reserve a slug derived from `name` for a new portfolio, adding a random
+// suffix until a free one is found. Returns the reserved slug.
+const reserveGeneratedSlug = async (portfolioId, name) => {
+  let base = slugify(name).slice(0, MAX_LENGTH - 7).replace(/-+$/g, '') || 'portfolio';
+  if (base.length < MIN_LENGTH || RESERVED_SLUGS.has(base)) {
+    base = `${base}-portfolio`;
+  }
+
+  for (let attempt = 0; attempt < 5; attempt++) {
+    const candidate = attempt === 0
+      ? base
+      : `${base}-${crypto.randomBytes(3).toString('hex')}`;
+
+    try {
+      await slugsCollection.doc(candidate).create({
+        portfolioId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+      return candidate;
+    } catch (error) {
+      if (error.code !== ALREADY_EXISTS) {
+        throw error;
+      }
+    }
+  }
+
+  throw slugError('SLUG_UNAVAILABLE', 'Could not generate a unique slug');
+};
+
+// Point a portfolio at an owner-chosen slug. The previous slug stays reserved
+// for this portfolio and redirects to the new one.
+const changeSlug = async (portfolioId, slug) => {
+  const validationError = validateVanitySlug(slug);
+  if (validationError) {
+    throw slugError('SLUG_INVALID', validationError);
+  }
+
+  const slugRef = slugsCollection.doc(slug);
+  const portfolioRef = portfoliosCollection.doc(portfolioId);
+
+  await db.runTransaction(async (transaction) => {
+    const [slugDoc, portfolioDoc] = await Promise.all([
+      transaction.get(slugRef),
+      transaction.get(portfolioRef)
+    ]);
+
+    if (slugDoc.exists && slugDoc.data().portfolioId !== portfolioId) {
+      throw slugError('SLUG_TAKEN', 'This slug is already taken');
+    }
+
+    // Legacy portfolios never recorded their slug; record it so it redirects
+    const previousSlug = portfolioDoc.data().slug;
+    if (previousSlug && previousSlug !== slug) {
+      const previousRef = slugsCollection.doc(previousSlug);
+      const previousDoc = await transaction.get(previousRef);
+      if (!previousDoc.exists) {
+        transaction.set(previousRef, {
+          portfolioId,
+          createdAt: admin.firestore.FieldValue.serverTimestamp()
+        });
+      }
+    }
+
+    if (!slugDoc.exists) {
+      transaction.set(slugRef, {
+        portfolioId,
+        createdAt: admin.firestore.FieldValue.serverTimestamp()
+      });
+    }
+
+    transaction.update(portfolioRef, {
+      slug,
+      updatedAt: admin.firestore.FieldValue.serverTimestamp()
+    });
+  });
+};
+
+const isSlugAvailable = async (slug, portfolioId = null) => {
+  if (validateVanitySlug(slug)) {
+    return false;
+  }
+  const slugDoc = await slugsCollection.doc(slug).get();
+  return !slugDoc.exists || slugDoc.data().portfolioId === portfolioId;
+};
+
+// Find the portfolio for a slug. Returns null if unknown, otherwise
+// { doc, redirectTo } where redirectTo is set when the slug is an old one.
+const resolveSlug = async (slug) => {
+  let portfolioDoc;
+
+  const slugDoc = await slugsCollection.doc(slug).get();
+  if (slugDoc.exists) {
+    portfolioDoc = await portfoliosCollection.doc(slugDoc.data().portfolioId).get();
+  } else {
+    // Portfolios created before slug records existed
+    const snapshot = await portfoliosCollection.where('slug', '==', slug).limit(1).get();
+    portfolioDoc = snapshot.empty ? null : snapshot.docs[0];
+  }
+
+  if (!portfolioDoc || !portfolioDoc.exists) {
+    return null;
+  }
+
+  const currentSlug = portfolioDoc.data().slug;
+  return {
+    doc: portfolioDoc,
+    redirectTo: currentSlug && currentSlug !== slug ? currentSlug : null
+  };
+};
+
+// Free every slug a portfolio has used (when the portfolio is deleted)
+const releaseSlugs = async (portfolioId) => {
+  const snapshot = await slugsCollection.where('portfolioId', '==', portfolioId).get();
+
+  if (snapshot.empty) return;
+
+  const batch = db.batch();
+  snapshot.forEach(doc => batch.delete(doc.ref));
+  await batch.commit();
+};
+
+module.exports = {
+  RESERVED_SLUGS,
+  slugify,
+  validateVanitySlug,
+  reserveGeneratedSlug,
+  changeSlug,
+  isSlugAvailable,
+  resolveSlug,
+  releaseSlugs
+};
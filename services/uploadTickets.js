@@ -0,0 +1,198 @@
+// services/uploadTickets.js
+// Uploads that go straight from the browser to storage, so large or bulk
+// uploads never pass through this server.
+//
+// Signing creates a ticket in `uploadTickets` (id: random and unguessable)
+// holding the owner, the purpose and the publicId the file must be uploaded
+// as, in the owner's folder. The client gets the storage driver's signed
+// upload parameters, uploads the file, then completes the ticket. Completing
+// reads the stored file back and puts it through the same content checks as
+// regular uploads; if it carried metadata (EXIF, GPS...), the stripped copy
+// replaces it. The file is then registered as an asset. Tickets can be
+// completed once; the signature lapses after UPLOAD_TICKET_TTL_SECONDS.
+// Tickets never completed are removed, with any file uploaded for them, by
+// the asset sweep.
+const crypto = require('crypto');
+const { admin } = require('../config/firebase');
+const { storage } = require('../storage');
+const { uploadError, inspectImage } = require('../config/upload');
+const { userFolder, recordUpload, getStorageUsage } = require('./assets');
+
+const db = admin.firestore();
+const ticketsCollection = db.collection('uploadTickets');
+
+const TTL_MS = (parseInt(process.env.UPLOAD_TICKET_TTL_SECONDS) || 15 * 60) * 1000;
+
+// An upload started just before expiry can finish afterwards, so tickets are
+// only cleaned up once this much longer has passed
+const CLEANUP_GRACE_MS = 60 * 60 * 1000;
+
+const TICKET_PATTERN = /^[a-f0-9]{48}$/;
+
+// Formats storage may report for an accepted image, as the formats
+// inspectImage() expects
+const ALLOWED_FORMATS = {
+  png: 'png',
+  jpg: 'jpeg',
+  jpeg: 'jpeg',
+  gif: 'gif',
+  webp: 'webp'
+};
+
+const supportsDirectUploads = () => Boolean(storage.signUpload && storage.verifyUpload);
+
+const quotaError = (usedBytes, quotaBytes) => {
+  const error = uploadError('STORAGE_QUOTA_EXCEEDED', 413, 'Storage quota exceeded');
+  error.usedBytes = usedBytes;
+  error.quotaBytes = quotaBytes;
+  return error;
+};
+
+// Create `count` tickets for the owner's folder, cropped for the preset.
+// Returns [{ ticket, publicId, expiresAt, upload: { method, url, fields } }].
+const createUploadTickets = async (ownerId, preset, count = 1) => {
+  if (!supportsDirectUploads()) {
+    throw uploadError('DIRECT_UPLOAD_UNSUPPORTED', 501, `The ${storage.name} storage driver doesn't support direct uploads`);
+  }
+
+  const { usedBytes, quotaBytes } = await getStorageUsage(ownerId);
+  if (usedBytes >= quotaBytes) {
+    throw quotaError(usedBytes, quotaBytes);
+  }
+
+  const folder = userFolder(ownerId);
+  const createdAt = admin.firestore.Timestamp.now();
+  const expiresAt = new Date(createdAt.toMillis() + TTL_MS);
+  const batch = db.batch();
+
+  const tickets = Array.from({ length: count }, () => {
+    const ticket = crypto.randomBytes(24).toString('hex');
+    const name = `${Date.now()}-${crypto.randomBytes(6).toString('hex')}`;
+    const publicId = `${folder}/${name}`;
+
+    batch.set(ticketsCollection.doc(ticket), {
+      ownerId,
+      purpose: preset.purpose,
+      publicId,
+      expiresAt: admin.firestore.Timestamp.fromDate(expiresAt),
+      createdAt
+    });
+
+    return {
+      ticket,
+      publicId,
+      expiresAt: expiresAt.toISOString(),
+      upload: storage.signUpload({ folder, publicId: name, preset, expiresAt })
+    };
+  });
+
+  await batch.commit();
+  return tickets;
+};
+
+// Remove a ticket and whatever was uploaded for it
+const discardTicket = async (doc) => {
+  await storage.remove(doc.get('publicId'));
+  await doc.ref.delete();
+};
+
+// Check the stored file by its content, as middleware/imageValidation.js does
+// for regular uploads, and replace it with a copy without metadata if it had
+// any. Returns the details of the file that is now stored.
+const sanitizeStoredUpload = async (ownerId, result) => {
+  const format = ALLOWED_FORMATS[result.format];
+  if (!format) {
+    throw uploadError('UNSUPPORTED_FILE_TYPE', 415, 'Only PNG, JPEG, GIF and WebP images are allowed');
+  }
+
+  const { buffer } = await storage.read(result.publicId);
+  const sanitized = inspectImage(buffer, format);
+  if (sanitized.equals(buffer)) {
+    return result;
+  }
+
+  const folder = userFolder(ownerId);
+  return storage.upload(sanitized, {
+    folder,
+    publicId: result.publicId.slice(folder.length + 1),
+    replace: true
+  });
+};
+
+// Register the file uploaded for a ticket. Returns { result, purpose }, where
+// result is in the shape storage.upload() returns. A file that fails the
+// checks is deleted along with its ticket.
+const completeUploadTicket = async (ownerId, ticket) => {
+  if (typeof ticket !== 'string' || !TICKET_PATTERN.test(ticket)) {
+    throw uploadError('TICKET_NOT_FOUND', 404, 'Upload ticket not found');
+  }
+
+  const ref = ticketsCollection.doc(ticket);
+  const doc = await ref.get();
+  if (!doc.exists || doc.get('ownerId') !== ownerId) {
+    throw uploadError('TICKET_NOT_FOUND', 404, 'Upload ticket not found');
+  }
+
+  // Nothing uploaded yet; the ticket stays usable
+  const uploaded = await storage.verifyUpload(doc.get('publicId'));
+  if (!uploaded) {
+    throw uploadError('UPLOAD_NOT_FOUND', 409, 'No file has been uploaded for this ticket yet');
+  }
+
+  let result;
+  try {
+    result = await sanitizeStoredUpload(ownerId, uploaded);
+
+    const { usedBytes, quotaBytes } = await getStorageUsage(ownerId);
+    if (usedBytes + (result.bytes || 0) > quotaBytes) {
+      throw quotaError(usedBytes, quotaBytes);
+    }
+  } catch (error) {
+    // Rejected files go; on other failures (storage unreachable...) the
+    // ticket can be retried
+    if (error.status) {
+      await discardTicket(doc);
+    }
+    throw error;
+  }
+
+  // Claim the ticket so a repeated completion can't register the file twice
+  await db.runTransaction(async (transaction) => {
+    const fresh = await transaction.get(ref);
+    if (!fresh.exists) {
+      throw uploadError('TICKET_NOT_FOUND', 404, 'Upload ticket not found');
+    }
+    transaction.delete(ref);
+  });
+
+  const purpose = doc.get('purpose') || null;
+  await recordUpload(ownerId, result, { purpose });
+  return { result, purpose };
+};
+
+// Remove tickets that were never completed, and any file uploaded for them.
+// Returns the number removed.
+const sweepExpiredUploadTickets = async () => {
+  const cutoff = admin.firestore.Timestamp.fromMillis(Date.now() - CLEANUP_GRACE_MS);
+  const snapshot = await ticketsCollection
+    .where('expiresAt', '<', cutoff)
+    .limit(500)
+    .get();
+
+  let removed = 0;
+  for (const doc of snapshot.docs) {
+    try {
+      await discardTicket(doc);
+      removed++;
+    } catch (error) {
+      console.error(`Error removing upload ticket ${doc.id}:`, error);
+    }
+  }
+  return removed;
+};
+
+module.exports = {
+  createUploadTickets,
+  completeUploadTicket,
+  sweepExpiredUploadTickets
+};
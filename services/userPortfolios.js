@@ -0,0 +1,109 @@
+// services/userPortfolios.js
+// A user can have up to MAX_PORTFOLIOS_PER_USER portfolios, e.g. one for
+// design work and one for engineering. One of them is `primary`: the one that
+// stands for the user where only one is shown. The first portfolio a user
+// creates is primary, and when the primary is deleted the most recently
+// updated remaining one takes over. Portfolios from before this carry no
+// flag; the oldest of those counts as primary.
+const { admin } = require('../config/firebase');
+
+const db = admin.firestore();
+const portfoliosCollection = db.collection('portfolios');
+
+const MAX_PORTFOLIOS_PER_USER = parseInt(process.env.MAX_PORTFOLIOS_PER_USER) || 3;
+
+const portfolioError = (code, message) => {
+  const error = new Error(message);
+  error.code = code;
+  return error;
+};
+
+const userPortfoliosQuery = (userId) => portfoliosCollection.where('userId', '==', userId);
+
+const toMillis = (timestamp) => (timestamp && timestamp.toMillis ? timestamp.toMillis() : 0);
+
+const byCreatedAt = (a, b) => toMillis(a.get('createdAt')) - toMillis(b.get('createdAt'));
+
+// The primary among a user's portfolio documents
+const findPrimary = (docs) => {
+  if (docs.length === 0) return null;
+  return docs.find(doc => doc.get('primary') === true) || [...docs].sort(byCreatedAt)[0];
+};
+
+// A user's portfolios, primary first and then newest first.
+// Returns { docs, primaryId }.
+const listUserPortfolios = async (userId) => {
+  const snapshot = await userPortfoliosQuery(userId).get();
+  const primary = findPrimary(snapshot.docs);
+
+  if (!primary) {
+    return { docs: [], primaryId: null };
+  }
+
+  const others = snapshot.docs
+    .filter(doc => doc.id !== primary.id)
+    .sort((a, b) => byCreatedAt(b, a));
+
+  return { docs: [primary, ...others], primaryId: primary.id };
+};
+
+// Write a new portfolio document for the user, unless they already have
+// MAX_PORTFOLIOS_PER_USER. Their first portfolio becomes primary.
+// Returns whether it is primary.
+const createUserPortfolio = async (docRef, userId, data) => {
+  return db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(userPortfoliosQuery(userId));
+
+    if (snapshot.size >= MAX_PORTFOLIOS_PER_USER) {
+      throw portfolioError(
+        'PORTFOLIO_LIMIT_REACHED',
+        `You can have at most ${MAX_PORTFOLIOS_PER_USER} portfolios`
+      );
+    }
+
+    const primary = snapshot.empty;
+    transaction.set(docRef, { ...data, primary });
+    return primary;
+  });
+};
+
+// Make one of the user's portfolios their primary one
+const setPrimaryPortfolio = async (userId, portfolioId) => {
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(userPortfoliosQuery(userId));
+
+    if (!snapshot.docs.some(doc => doc.id === portfolioId)) {
+      throw portfolioError('PORTFOLIO_NOT_FOUND', 'Portfolio not found');
+    }
+
+    snapshot.docs.forEach(doc => {
+      const primary = doc.id === portfolioId;
+      if (doc.get('primary') !== primary) {
+        transaction.update(doc.ref, { primary });
+      }
+    });
+  });
+};
+
+// After a delete: if none of the user's remaining portfolios is primary,
+// promote the most recently updated one
+const reassignPrimary = async (userId) => {
+  await db.runTransaction(async (transaction) => {
+    const snapshot = await transaction.get(userPortfoliosQuery(userId));
+
+    if (snapshot.empty || snapshot.docs.some(doc => doc.get('primary') === true)) {
+      return;
+    }
+
+    const [latest] = [...snapshot.docs].sort((a, b) => toMillis(b.get('updatedAt')) - toMillis(a.get('updatedAt')));
+    transaction.update(latest.ref, { primary: true });
+  });
+};
+
+module.exports = {
+  MAX_PORTFOLIOS_PER_USER,
+  listUserPortfolios,
+  createUserPortfolio,
+  setPrimaryPortfolio,
+  reassignPrimary
+};
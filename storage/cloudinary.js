@@ -0,0 +1,175 @@
+// storage/cloudinary.js
+// Stores uploads in Cloudinary, which crops them on upload and resizes them
+// on delivery.
+const https = require('https');
+const { cloudinary } = require('../config/cloudinary');
+
+// .../image/upload/[transformations/]v1234567890/<publicId>.<ext>
+const URL_PATTERN = /^https?:\/\/res\.cloudinary\.com\/[^/]+\/image\/upload\/(?:.+\/)?v\d+\/(.+?)(?:\.[a-z0-9]+)?$/i;
+
+// Cloudinary accepts a signed upload for an hour after the signature's
+// timestamp
+const SIGNATURE_LIFETIME_S = 60 * 60;
+
+// Largest file read() will download, and how long it waits
+const MAX_READ_BYTES = 25 * 1024 * 1024;
+const READ_TIMEOUT_MS = 15000;
+
+// Formats accepted by direct uploads; SVG is left out as it can carry scripts
+const DIRECT_UPLOAD_FORMATS = 'png,jpg,gif,webp';
+
+// Cloudinary transformation for a preset from config/imagePresets.js
+const presetTransformation = (preset) => {
+  const resize = preset.fit === 'cover'
+    ? { width: preset.width, height: preset.height, crop: 'fill', gravity: preset.gravity || 'auto' }
+    : { width: preset.width, height: preset.height, crop: 'limit' };
+
+  return [resize, { quality: 'auto' }, { fetch_format: 'auto' }];
+};
+
+const createCloudinaryStorage = () => {
+  // With `replace`, the buffer is stored as is over an existing file and
+  // cached copies of the old one are invalidated
+  const upload = (buffer, { folder, publicId, preset, replace = false }) => {
+    return new Promise((resolve, reject) => {
+      const uploadStream = cloudinary.uploader.upload_stream(
+        {
+          folder,
+          public_id: publicId,
+          ...(replace
+            ? { overwrite: true, invalidate: true }
+            : { transformation: presetTransformation(preset) })
+        },
+        (error, result) => {
+          if (error) {
+            reject(error);
+          } else {
+            resolve({
+              url: result.secure_url,
+              publicId: result.public_id,
+              width: result.width,
+              height: result.height,
+              bytes: result.bytes,
+              format: result.format,
+              version: result.version
+            });
+          }
+        }
+      );
+
+      uploadStream.end(buffer);
+    });
+  };
+
+  // Signed parameters for a browser to upload one file straight to
+  // Cloudinary. The timestamp is backdated so the signature lapses at
+  // expiresAt; the client can send the file in chunks (Cloudinary's chunked
+  // upload) to resume an interrupted transfer.
+  const signUpload = ({ folder, publicId, preset, expiresAt }) => {
+    const nowS = Math.floor(Date.now() / 1000);
+    const timestamp = Math.min(nowS, Math.floor(expiresAt.getTime() / 1000) - SIGNATURE_LIFETIME_S);
+
+    return {
+      method: 'POST',
+      url: cloudinary.utils.api_url('upload', { resource_type: 'image' }),
+      fields: cloudinary.utils.sign_request({
+        timestamp,
+        folder,
+        public_id: publicId,
+        transformation: cloudinary.utils.generate_transformation_string(presetTransformation(preset)),
+        allowed_formats: DIRECT_UPLOAD_FORMATS
+      })
+    };
+  };
+
+  // Details of a directly uploaded file, in the same shape as upload()
+  // returns, or null if nothing has been uploaded under publicId
+  const verifyUpload = async (publicId) => {
+    try {
+      const result = await cloudinary.api.resource(publicId);
+      return {
+        url: result.secure_url,
+        publicId: result.public_id,
+        width: result.width,
+        height: result.height,
+        bytes: result.bytes,
+        format: result.format,
+        version: result.version
+      };
+    } catch (error) {
+      if (error.error && error.error.http_code === 404) {
+        return null;
+      }
+      throw error;
+    }
+  };
+
+  // The stored image as { buffer, contentType }
+  const read = (publicId) => {
+    const source = cloudinary.url(publicId, { secure: true, urlAnalytics: false });
+
+    return new Promise((resolve, reject) => {
+      const request = https.get(source, { timeout: READ_TIMEOUT_MS }, (response) => {
+        if (response.statusCode !== 200) {
+          response.resume();
+          return reject(new Error(`Fetching ${publicId} failed with status ${response.statusCode}`));
+        }
+
+        const chunks = [];
+        let size = 0;
+        response.on('data', (chunk) => {
+          size += chunk.length;
+          if (size > MAX_READ_BYTES) {
+            request.destroy(new Error(`${publicId} is too large to read`));
+            return;
+          }
+          chunks.push(chunk);
+        });
+        response.on('end', () => resolve({
+          buffer: Buffer.concat(chunks),
+          contentType: response.headers['content-type'] || 'application/octet-stream'
+        }));
+        response.on('error', reject);
+      });
+
+      request.on('timeout', () => request.destroy(new Error(`Fetching ${publicId} timed out`)));
+      request.on('error', reject);
+    });
+  };
+
+  const remove = async (publicId) => {
+    await cloudinary.uploader.destroy(publicId);
+  };
+
+  const url = (publicId, { width, version, placeholder = false } = {}) => {
+    return cloudinary.url(publicId, {
+      secure: true,
+      urlAnalytics: false,
+      version,
+      transformation: [
+        { width, crop: 'scale' },
+        ...(placeholder ? [{ effect: 'blur:1000' }] : []),
+        { quality: placeholder ? 1 : 'auto', fetch_format: 'auto' }
+      ]
+    });
+  };
+
+  const publicIdFromUrl = (value) => {
+    const match = URL_PATTERN.exec(value.split('?')[0]);
+    return match ? decodeURIComponent(match[1]) : null;
+  };
+
+  return {
+    name: 'cloudinary',
+    resizes: true,
+    upload,
+    signUpload,
+    verifyUpload,
+    read,
+    remove,
+    url,
+    publicIdFromUrl
+  };
+};
+
+module.exports = { createCloudinaryStorage };
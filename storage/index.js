@@ -0,0 +1,69 @@
+// storage/index.js
+// Where uploaded images are kept. STORAGE_DRIVER picks the driver:
+//   cloudinary (default) - Cloudinary, see storage/cloudinary.js
+//   local                - local disk served from /uploads, see storage/local.js
+//
+// Every driver provides:
+//   upload(buffer, { folder, publicId, preset, replace }) -> { url, publicId, width, height, bytes, format, version }
+//     (replace: store the buffer as is over an existing file)
+//   read(publicId) -> { buffer, contentType } of the stored file
+//   remove(publicId)
+//   url(publicId, { width, version, placeholder }) -> delivery URL, scaled to width if the driver resizes
+//   publicIdFromUrl(url) -> the public id of one of our URLs, or null
+// plus `name` and `resizes` (whether url() can scale images).
+//
+// Drivers that let clients upload straight to storage also provide:
+//   signUpload({ folder, publicId, preset, expiresAt }) -> { method, url, fields } for the client
+//   verifyUpload(publicId) -> what upload() returns, or null if nothing was uploaded
+const { getImagePreset, PLACEHOLDER_WIDTH } = require('../config/imagePresets');
+
+const DRIVERS = {
+  cloudinary: () => require('./cloudinary').createCloudinaryStorage(),
+  local: () => require('./local').createLocalStorage()
+};
+
+const createStorage = (driver = process.env.STORAGE_DRIVER || 'cloudinary') => {
+  if (!DRIVERS[driver]) {
+    throw new Error(`Unknown STORAGE_DRIVER "${driver}" (expected ${Object.keys(DRIVERS).join(' or ')})`);
+  }
+  return DRIVERS[driver]();
+};
+
+const storage = createStorage();
+
+// Responsive variants of an upload: a srcset of the preset's widths (never
+// wider than the stored image) and a tiny blurred placeholder to show while
+// the real image loads. Drivers that can't resize only offer the original.
+const buildResponsiveImage = (result, preset = getImagePreset()) => {
+  const { publicId, version } = result;
+
+  if (!storage.resizes) {
+    return {
+      srcset: result.width ? `${result.url} ${result.width}w` : result.url,
+      variants: [{ width: result.width, url: result.url }],
+      placeholder: result.url
+    };
+  }
+
+  const widths = preset.widths.filter(width => !result.width || width <= result.width);
+  if (result.width && !widths.includes(result.width)) {
+    widths.push(result.width);
+  }
+
+  const variants = widths.map(width => ({
+    width,
+    url: storage.url(publicId, { width, version })
+  }));
+
+  return {
+    srcset: variants.map(variant => `${variant.url} ${variant.width}w`).join(', '),
+    variants,
+    placeholder: storage.url(publicId, { width: PLACEHOLDER_WIDTH, version, placeholder: true })
+  };
+};
+
+module.exports = {
+  storage,
+  createStorage,
+  buildResponsiveImage
+};
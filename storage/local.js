@@ -0,0 +1,113 @@
+// storage/local.js
+// Stores uploads on the local disk and serves them from /uploads. Meant for
+// development, tests and offline use: files are kept exactly as uploaded
+// (no cropping or resizing), so every variant URL points at the original.
+//
+// Public ids keep the file extension, e.g. portfolio-app/users/<uid>/<id>.png
+const fs = require('fs/promises');
+const path = require('path');
+const express = require('express');
+const { getImageInfo } = require('../utils/imageInfo');
+
+const MOUNT_PATH = '/uploads';
+
+const EXTENSIONS = {
+  png: 'png',
+  jpeg: 'jpg',
+  gif: 'gif',
+  webp: 'webp'
+};
+
+const CONTENT_TYPES = {
+  '.png': 'image/png',
+  '.jpg': 'image/jpeg',
+  '.gif': 'image/gif',
+  '.webp': 'image/webp'
+};
+
+const createLocalStorage = ({
+  root = process.env.LOCAL_STORAGE_DIR || path.join(__dirname, '..', 'uploads'),
+  baseUrl = process.env.LOCAL_STORAGE_BASE_URL || `http://localhost:${process.env.PORT || 5000}${MOUNT_PATH}`
+} = {}) => {
+  const rootDir = path.resolve(root);
+  const base = baseUrl.replace(/\/+$/, '');
+
+  // Never let a public id point outside the storage directory
+  const filePath = (publicId) => {
+    const resolved = path.resolve(rootDir, publicId);
+    if (!resolved.startsWith(`${rootDir}${path.sep}`)) {
+      throw new Error(`Invalid public id: ${publicId}`);
+    }
+    return resolved;
+  };
+
+  const upload = async (buffer, { folder, publicId }) => {
+    const info = getImageInfo(buffer);
+    if (!info) {
+      throw new Error('Unsupported image format');
+    }
+
+    const id = `${folder}/${publicId}.${EXTENSIONS[info.format]}`;
+    const target = filePath(id);
+
+    await fs.mkdir(path.dirname(target), { recursive: true });
+    await fs.writeFile(target, buffer);
+
+    return {
+      url: `${base}/${id}`,
+      publicId: id,
+      width: info.width,
+      height: info.height,
+      bytes: buffer.length,
+      format: info.format,
+      version: null
+    };
+  };
+
+  const read = async (publicId) => ({
+    buffer: await fs.readFile(filePath(publicId)),
+    contentType: CONTENT_TYPES[path.extname(publicId)] || 'application/octet-stream'
+  });
+
+  const remove = async (publicId) => {
+    try {
+      await fs.unlink(filePath(publicId));
+    } catch (error) {
+      // Already gone is as good as deleted
+      if (error.code !== 'ENOENT') {
+        throw error;
+      }
+    }
+  };
+
+  const url = (publicId) => `${base}/${publicId}`;
+
+  const publicIdFromUrl = (value) => {
+    const clean = value.split('?')[0];
+    return clean.startsWith(`${base}/`) ? decodeURIComponent(clean.slice(base.length + 1)) : null;
+  };
+
+  // Static file middleware, mounted at MOUNT_PATH by server.js
+  const serve = () => express.static(rootDir, {
+    index: false,
+    setHeaders: (res) => {
+      // Let the frontend (another origin) embed the images
+      res.set('Cross-Origin-Resource-Policy', 'cross-origin');
+      res.set('X-Content-Type-Options', 'nosniff');
+    }
+  });
+
+  return {
+    name: 'local',
+    resizes: false,
+    mountPath: MOUNT_PATH,
+    upload,
+    read,
+    remove,
+    url,
+    publicIdFromUrl,
+    serve
+  };
+};
+
+module.exports = { createLocalStorage };
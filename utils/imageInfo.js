@@ -0,0 +1,82 @@
+// utils/imageInfo.js
+// Reads the format and pixel size of an image from its header bytes, without
+// decoding it. Supports PNG, JPEG, GIF and WebP.
+
+const readPng = (buffer) => {
+  // Signature, then the IHDR chunk with width and height
+  if (buffer.length < 24 || buffer.toString('ascii', 1, 4) !== 'PNG') return null;
+  return { format: 'png', width: buffer.readUInt32BE(16), height: buffer.readUInt32BE(20) };
+};
+
+const readGif = (buffer) => {
+  if (buffer.length < 10 || buffer.toString('ascii', 0, 3) !== 'GIF') return null;
+  return { format: 'gif', width: buffer.readUInt16LE(6), height: buffer.readUInt16LE(8) };
+};
+
+const readWebp = (buffer) => {
+  if (buffer.length < 30 || buffer.toString('ascii', 0, 4) !== 'RIFF' || buffer.toString('ascii', 8, 12) !== 'WEBP') {
+    return null;
+  }
+
+  const chunk = buffer.toString('ascii', 12, 16);
+  if (chunk === 'VP8 ') {
+    // Lossy: 14-bit sizes after the frame start code
+    return { format: 'webp', width: buffer.readUInt16LE(26) & 0x3fff, height: buffer.readUInt16LE(28) & 0x3fff };
+  }
+  if (chunk === 'VP8L') {
+    // Lossless: 14-bit width - 1 and height - 1 packed after the signature byte
+    const bits = buffer.readUInt32LE(21);
+    return { format: 'webp', width: (bits & 0x3fff) + 1, height: ((bits >> 14) & 0x3fff) + 1 };
+  }
+  if (chunk === 'VP8X') {
+    // Extended: 24-bit canvas width - 1 and height - 1
+    return { format: 'webp', width: buffer.readUIntLE(24, 3) + 1, height: buffer.readUIntLE(27, 3) + 1 };
+  }
+  return null;
+};
+
+const readJpeg = (buffer) => {
+  if (buffer.length < 4 || buffer[0] !== 0xff || buffer[1] !== 0xd8) return null;
+
+  // Walk the segments until a start-of-frame marker, which holds the size
+  let offset = 2;
+  while (offset + 9 < buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      offset++;
+      continue;
+    }
+
+    const marker = buffer[offset + 1];
+    const isStartOfFrame = marker >= 0xc0 && marker <= 0xcf && ![0xc4, 0xc8, 0xcc].includes(marker);
+    if (isStartOfFrame) {
+      return { format: 'jpeg', width: buffer.readUInt16BE(offset + 7), height: buffer.readUInt16BE(offset + 5) };
+    }
+
+    // Markers without a length field
+    if (marker === 0xd8 || marker === 0x01 || (marker >= 0xd0 && marker <= 0xd7)) {
+      offset += 2;
+      continue;
+    }
+
+    offset += 2 + buffer.readUInt16BE(offset + 2);
+  }
+  return { format: 'jpeg', width: null, height: null };
+};
+
+// SVG is XML: an optional declaration, comments or doctype, then <svg
+const SVG_PATTERN = /^\s*(<\?xml[^>]*>\s*)?((<!--[\s\S]*?-->|<!DOCTYPE[^>]*>)\s*)*<svg[\s>]/i;
+
+// Whether the bytes are an SVG document, whatever the file claims to be
+const isSvg = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return false;
+  return SVG_PATTERN.test(buffer.toString('utf8', 0, 4096).replace(/^\uFEFF/, ''));
+};
+
+// Returns { format, width, height }, or null for anything that isn't a
+// supported image
+const getImageInfo = (buffer) => {
+  if (!Buffer.isBuffer(buffer)) return null;
+  return readPng(buffer) || readJpeg(buffer) || readGif(buffer) || readWebp(buffer);
+};
+
+module.exports = { getImageInfo, isSvg };
@@ -0,0 +1,185 @@
+// utils/imageSanitizer.js
+// Removes metadata (EXIF, GPS, XMP, IPTC, comments) from uploaded images
+// without re-encoding them. Only the pixel data and what is needed to show it
+// correctly (colour profile, JPEG orientation) are kept.
+
+const JPEG_MARKERS = {
+  SOS: 0xda,
+  APP1: 0xe1, // EXIF, XMP
+  APP13: 0xed, // IPTC / Photoshop
+  COM: 0xfe
+};
+
+// PNG chunks that can carry metadata
+const PNG_METADATA_CHUNKS = new Set(['eXIf', 'tEXt', 'iTXt', 'zTXt', 'tIME']);
+
+// WebP chunks that carry metadata, and their VP8X flag bits
+const WEBP_METADATA_CHUNKS = new Set(['EXIF', 'XMP ']);
+const WEBP_EXIF_FLAG = 0x08;
+const WEBP_XMP_FLAG = 0x04;
+
+const ORIENTATION_TAG = 0x0112;
+
+// EXIF orientation (1-8) from an APP1 payload, or null
+const readExifOrientation = (segment) => {
+  if (segment.length < 14 || segment.toString('ascii', 0, 6) !== 'Exif\0\0') return null;
+
+  const tiff = segment.subarray(6);
+  const littleEndian = tiff.toString('ascii', 0, 2) === 'II';
+  const read16 = (offset) => (littleEndian ? tiff.readUInt16LE(offset) : tiff.readUInt16BE(offset));
+  const read32 = (offset) => (littleEndian ? tiff.readUInt32LE(offset) : tiff.readUInt32BE(offset));
+
+  try {
+    const ifd = read32(4);
+    const entries = read16(ifd);
+    for (let i = 0; i < entries; i++) {
+      const entry = ifd + 2 + i * 12;
+      if (read16(entry) === ORIENTATION_TAG) {
+        const value = read16(entry + 8);
+        return value >= 1 && value <= 8 ? value : null;
+      }
+    }
+  } catch (error) {
+    // Truncated or malformed EXIF; treat as no orientation
+  }
+  return null;
+};
+
+// A minimal big-endian EXIF APP1 segment holding only the orientation
+const buildOrientationSegment = (orientation) => {
+  const payload = Buffer.alloc(6 + 8 + 2 + 12 + 4);
+  payload.write('Exif\0\0', 0, 'ascii');
+  payload.write('MM', 6, 'ascii');
+  payload.writeUInt16BE(42, 8);
+  payload.writeUInt32BE(8, 10); // IFD0 right after the header
+  payload.writeUInt16BE(1, 14); // one entry
+  payload.writeUInt16BE(ORIENTATION_TAG, 16);
+  payload.writeUInt16BE(3, 18); // SHORT
+  payload.writeUInt32BE(1, 20); // count
+  payload.writeUInt16BE(orientation, 24);
+  payload.writeUInt32BE(0, 28); // no next IFD
+
+  const header = Buffer.alloc(4);
+  header.writeUInt16BE(0xff00 | JPEG_MARKERS.APP1, 0);
+  header.writeUInt16BE(payload.length + 2, 2);
+  return Buffer.concat([header, payload]);
+};
+
+const stripJpeg = (buffer) => {
+  const kept = [buffer.subarray(0, 2)];
+  let orientation = null;
+  let offset = 2;
+
+  while (offset + 4 <= buffer.length) {
+    if (buffer[offset] !== 0xff) {
+      throw new Error('Malformed JPEG');
+    }
+
+    const marker = buffer[offset + 1];
+
+    // Fill bytes
+    if (marker === 0xff) {
+      offset++;
+      continue;
+    }
+
+    // The scan data runs to the end of the file; keep the rest as-is
+    if (marker === JPEG_MARKERS.SOS) {
+      kept.push(buffer.subarray(offset));
+      offset = buffer.length;
+      break;
+    }
+
+    const length = buffer.readUInt16BE(offset + 2);
+    const end = offset + 2 + length;
+    if (length < 2 || end > buffer.length) {
+      throw new Error('Malformed JPEG');
+    }
+
+    const segment = buffer.subarray(offset, end);
+
+    if (marker === JPEG_MARKERS.APP1) {
+      orientation = orientation || readExifOrientation(segment.subarray(4));
+    } else if (marker !== JPEG_MARKERS.APP13 && marker !== JPEG_MARKERS.COM) {
+      kept.push(segment);
+    }
+
+    offset = end;
+  }
+
+  // Put the orientation back so photos aren't shown rotated, after the JFIF
+  // header if there is one
+  if (orientation && orientation !== 1) {
+    const position = kept.length > 1 && kept[1][1] === 0xe0 ? 2 : 1;
+    kept.splice(position, 0, buildOrientationSegment(orientation));
+  }
+
+  return Buffer.concat(kept);
+};
+
+const stripPng = (buffer) => {
+  const kept = [buffer.subarray(0, 8)];
+  let offset = 8;
+
+  while (offset + 12 <= buffer.length) {
+    const length = buffer.readUInt32BE(offset);
+    const type = buffer.toString('ascii', offset + 4, offset + 8);
+    const end = offset + 12 + length;
+    if (end > buffer.length) {
+      throw new Error('Malformed PNG');
+    }
+
+    if (!PNG_METADATA_CHUNKS.has(type)) {
+      kept.push(buffer.subarray(offset, end));
+    }
+
+    offset = end;
+    if (type === 'IEND') break;
+  }
+
+  return Buffer.concat(kept);
+};
+
+const stripWebp = (buffer) => {
+  const chunks = [];
+  let offset = 12;
+
+  while (offset + 8 <= buffer.length) {
+    const type = buffer.toString('ascii', offset, offset + 4);
+    const size = buffer.readUInt32LE(offset + 4);
+    // Chunks are padded to an even size
+    const end = offset + 8 + size + (size % 2);
+    if (end > buffer.length + 1) {
+      throw new Error('Malformed WebP');
+    }
+
+    if (!WEBP_METADATA_CHUNKS.has(type)) {
+      const chunk = Buffer.from(buffer.subarray(offset, Math.min(end, buffer.length)));
+      if (type === 'VP8X') {
+        chunk[8] &= ~(WEBP_EXIF_FLAG | WEBP_XMP_FLAG);
+      }
+      chunks.push(chunk);
+    }
+
+    offset = end;
+  }
+
+  const body = Buffer.concat(chunks);
+  const header = Buffer.alloc(12);
+  header.write('RIFF', 0, 'ascii');
+  header.writeUInt32LE(body.length + 4, 4);
+  header.write('WEBP', 8, 'ascii');
+  return Buffer.concat([header, body]);
+};
+
+// Strip metadata from an image of the given format (as reported by
+// utils/imageInfo.js). GIFs carry no EXIF and are returned unchanged.
+// Throws if the file is malformed.
+const stripMetadata = (buffer, format) => {
+  if (format === 'jpeg') return stripJpeg(buffer);
+  if (format === 'png') return stripPng(buffer);
+  if (format === 'webp') return stripWebp(buffer);
+  return buffer;
+};
+
+module.exports = { stripMetadata };
@@ -0,0 +1,74 @@
+// utils/moderation.js
+// Automatic screening of review text at write time.
+//
+// Reviews containing a blocked word or a link are held as `pending` until a
+// moderator approves them. The word list defaults to DEFAULT_BLOCKED_WORDS and
+// can be replaced with MODERATION_BLOCKED_WORDS (comma-separated).
+
+const MODERATION_STATUS = {
+  // Visible and counted in the portfolio's rating aggregates
+  APPROVED: 'approved',
+  // Held back by screening until a moderator looks at it
+  PENDING: 'pending',
+  // Taken down after enough user reports, until a moderator looks at it
+  HIDDEN: 'hidden',
+  // Rejected by a moderator
+  REJECTED: 'rejected'
+};
+
+const DEFAULT_BLOCKED_WORDS = [
+  'asshole', 'bastard', 'bitch', 'bullshit', 'cunt', 'dick', 'fuck', 'fucking',
+  'motherfucker', 'shit', 'slut', 'whore'
+];
+
+const blockedWords = () => {
+  const configured = process.env.MODERATION_BLOCKED_WORDS;
+  const words = configured ? configured.split(',') : DEFAULT_BLOCKED_WORDS;
+  return words.map(word => word.trim().toLowerCase()).filter(Boolean);
+};
+
+const BLOCKED_WORDS = new Set(blockedWords());
+
+// http(s) URLs, www. hosts and bare domains such as example.com/path. The
+// text is split into words and each word is matched whole, which keeps the
+// check linear in the length of the review.
+const LINK_PATTERN = /^(?:(?:https?:\/\/|www\.)\S+|[a-z0-9-]+(?:\.[a-z0-9-]+)*\.(?:com|net|org|io|co|me|info|biz|xyz|ru|app|dev|link|ly)(?:[/?#:.]\S*)?)$/;
+const WORD_PATTERN = /[^\s()<>[\]{}"',;!@]+/g;
+
+const normalize = (text) => {
+  return String(text || '')
+    .normalize('NFKD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase();
+};
+
+// Screen review text. Returns { status, reasons } where reasons lists why the
+// review was held ('profanity', 'link'); an empty review is always approved.
+const screenReview = (text) => {
+  const reasons = [];
+  const normalized = normalize(text);
+
+  if (normalized.split(/[^a-z0-9]+/).some(word => BLOCKED_WORDS.has(word))) {
+    reasons.push('profanity');
+  }
+
+  if ((normalized.match(WORD_PATTERN) || []).some(word => LINK_PATTERN.test(word))) {
+    reasons.push('link');
+  }
+
+  return {
+    status: reasons.length > 0 ? MODERATION_STATUS.PENDING : MODERATION_STATUS.APPROVED,
+    reasons
+  };
+};
+
+// Ratings saved before moderation have no status and count as approved
+const isApproved = (rating) => {
+  return !rating.moderationStatus || rating.moderationStatus === MODERATION_STATUS.APPROVED;
+};
+
+module.exports = {
+  MODERATION_STATUS,
+  screenReview,
+  isApproved
+};
@@ -0,0 +1,64 @@
+// utils/pagination.js
+// Opaque cursor tokens for Firestore listings ordered by (createdAt, id).
+const { admin } = require('../config/firebase');
+
+const DEFAULT_LIMIT = 20;
+const MAX_LIMIT = 50;
+
+// The cursor keeps createdAt to the nanosecond: server timestamps are finer
+// than milliseconds, and resuming from a rounded value would skip or repeat
+// documents created in the same millisecond
+const encodeCursor = (doc) => {
+  const createdAt = doc.get('createdAt');
+  const payload = {
+    s: createdAt ? createdAt.seconds : 0,
+    n: createdAt ? createdAt.nanoseconds : 0,
+    id: doc.id
+  };
+  return Buffer.from(JSON.stringify(payload)).toString('base64url');
+};
+
+const isWhole = (value, max) => Number.isInteger(value) && value >= 0 && value <= max;
+
+// Returns { createdAt, id } or null if the token is not a valid
+// cursor. Millisecond cursors issued before nanoseconds were kept still work.
+const decodeCursor = (token) => {
+  if (!token || typeof token !== 'string') {
+    return null;
+  }
+  try {
+    const payload = JSON.parse(Buffer.from(token, 'base64url').toString('utf8'));
+    if (typeof payload.id !== 'string') {
+      return null;
+    }
+
+    let createdAt;
+    if (isWhole(payload.s, 253402300799) && isWhole(payload.n, 999999999)) {
+      createdAt = new admin.firestore.Timestamp(payload.s, payload.n);
+    } else if (typeof payload.t === 'number') {
+      createdAt = admin.firestore.Timestamp.fromMillis(payload.t);
+    } else {
+      return null;
+    }
+
+    return { createdAt, id: payload.id };
+  } catch (error) {
+    return null;
+  }
+};
+
+const parseLimit = (value, defaultLimit = DEFAULT_LIMIT, maxLimit = MAX_LIMIT) => {
+  const limit = parseInt(value);
+  if (Number.isNaN(limit) || limit < 1) {
+    return defaultLimit;
+  }
+  return Math.min(limit, maxLimit);
+};
+
+module.exports = {
+  DEFAULT_LIMIT,
+  MAX_LIMIT,
+  encodeCursor,
+  decodeCursor,
+  parseLimit
+};
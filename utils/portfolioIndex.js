@@ -0,0 +1,34 @@
+// utils/portfolioIndex.js
+// Normalized fields stored on each portfolio so listings can filter in the
+// Firestore query instead of in Node. They are derived from the published
+// content whenever a portfolio is published.
+
+const normalize = (value) => value.trim().toLowerCase().replace(/\s+/g, ' ');
+
+// Split text into lowercase keywords ("Senior Front-end Dev" -> senior, front, end, dev)
+const keywords = (value = '') => {
+  return normalize(value)
+    .split(/[^a-z0-9+#.]+/)
+    .map(word => word.replace(/^\.+|\.+$/g, ''))
+    .filter(word => word.length > 1);
+};
+
+const unique = (values) => Array.from(new Set(values));
+
+const normalizeSkill = (skill) => normalize(skill);
+
+const buildIndexFields = (content = {}) => {
+  const skills = Array.isArray(content.skills) ? content.skills : [];
+  const title = content.heroSection?.title || '';
+
+  return {
+    skillsNormalized: unique(skills.filter(skill => typeof skill === 'string').map(normalizeSkill)).filter(Boolean),
+    roleKeywords: unique(keywords(title))
+  };
+};
+
+module.exports = {
+  keywords,
+  normalizeSkill,
+  buildIndexFields
+};
@@ -0,0 +1,84 @@
+// utils/portfolioViews.js
+// Helpers for the draft/published split of a portfolio document.
+//
+// The top-level content fields of a portfolio document always hold the
+// published version. Edits are written to `draft`, a full copy of the content
+// that only the owner sees until it is published.
+const { PORTFOLIO_CONTENT_FIELDS } = require('../validators/portfolio');
+
+const PORTFOLIO_STATUS = {
+  DRAFT: 'draft',
+  PUBLISHED: 'published',
+  // Removed by an admin; the owner can't publish it again
+  TAKEN_DOWN: 'taken_down'
+};
+
+const pickFields = (data, fields) => {
+  return fields.reduce((acc, field) => {
+    if (data[field] !== undefined) {
+      acc[field] = data[field];
+    }
+    return acc;
+  }, {});
+};
+
+const pickContent = (data = {}) => pickFields(data, PORTFOLIO_CONTENT_FIELDS);
+
+// Older documents have no draft; their top-level content is the working copy
+const getDraftContent = (data = {}) => {
+  return data.draft ? { ...data.draft } : pickContent(data);
+};
+
+const isPublished = (data = {}) => data.status === PORTFOLIO_STATUS.PUBLISHED;
+
+const withoutFields = (data, fields) => {
+  const result = { ...data };
+  fields.forEach(field => delete result[field]);
+  return result;
+};
+
+// Document metadata anyone may see. Everything else on the document (admin
+// actions, publish errors, listing filter fields, ...) stays internal.
+const PUBLIC_METADATA_FIELDS = [
+  'userId',
+  'slug',
+  'status',
+  'featured',
+  'views',
+  'uniqueVisitors',
+  'averageRating',
+  'totalRatings',
+  'ratingDistribution',
+  'publishedAt',
+  'createdAt',
+  'updatedAt'
+];
+
+// What everyone except the owner gets: the published content and the public
+// metadata only
+const toPublicView = (id, data = {}) => ({
+  id,
+  ...pickFields(data, PUBLIC_METADATA_FIELDS),
+  ...pickContent(data)
+});
+
+// What the owner gets: the draft content overlaid on the document metadata
+const toOwnerView = (id, data) => {
+  const metadata = withoutFields(data, [...PORTFOLIO_CONTENT_FIELDS, 'draft']);
+  return {
+    id,
+    ...metadata,
+    ...getDraftContent(data),
+    hasUnpublishedChanges: Boolean(data.hasUnpublishedChanges),
+    publishAt: data.publishAt || null
+  };
+};
+
+module.exports = {
+  PORTFOLIO_STATUS,
+  pickContent,
+  getDraftContent,
+  isPublished,
+  toPublicView,
+  toOwnerView
+};
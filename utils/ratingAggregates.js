@@ -0,0 +1,52 @@
+// utils/ratingAggregates.js
+// Rating aggregates stored on each portfolio:
+//   averageRating, totalRatings, ratingDistribution { 1..5: count }
+//
+// The distribution is the source of truth; the total and average are derived
+// from it, so applying a change only needs the old and new star values.
+
+const STARS = [1, 2, 3, 4, 5];
+
+const emptyDistribution = () => ({ 1: 0, 2: 0, 3: 0, 4: 0, 5: 0 });
+
+const statsFromDistribution = (distribution) => {
+  const totalRatings = STARS.reduce((sum, star) => sum + distribution[star], 0);
+  const ratingSum = STARS.reduce((sum, star) => sum + star * distribution[star], 0);
+
+  return {
+    averageRating: totalRatings > 0 ? Math.round((ratingSum / totalRatings) * 10) / 10 : 0, // Round to 1 decimal place
+    totalRatings,
+    ratingDistribution: distribution
+  };
+};
+
+// New aggregates after a rating goes from `before` to `after` stars.
+// Either may be null: a new rating has no `before`, a deleted one no `after`.
+const applyRatingChange = (portfolio, { before = null, after = null }) => {
+  const distribution = { ...emptyDistribution(), ...(portfolio.ratingDistribution || {}) };
+
+  if (before !== null) {
+    distribution[before] = Math.max(0, distribution[before] - 1);
+  }
+  if (after !== null) {
+    distribution[after] += 1;
+  }
+
+  return statsFromDistribution(distribution);
+};
+
+// Aggregates for a full list of star values (used by reconciliation)
+const computeRatingStats = (ratings) => {
+  const distribution = emptyDistribution();
+  ratings.forEach(rating => {
+    if (STARS.includes(rating)) {
+      distribution[rating] += 1;
+    }
+  });
+  return statsFromDistribution(distribution);
+};
+
+module.exports = {
+  applyRatingChange,
+  computeRatingStats
+};
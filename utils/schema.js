@@ -0,0 +1,200 @@
+// utils/schema.js
+// Minimal schema validator used for request payloads.
+//
+// A schema is a plain object describing the expected shape:
+//   { type: 'object', properties: { name: { type: 'string', required: true } } }
+// Supported types are string, number, integer, boolean, array and object.
+// Unknown object keys are dropped from the sanitized value, so anything not
+// declared in the schema never reaches Firestore.
+
+const URL_PATTERN = /^https?:\/\/[^\s]+$/i;
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const DATE_PATTERN = /^\d{4}-\d{2}(-\d{2})?$/;
+
+const formats = {
+  url: (value) => URL_PATTERN.test(value),
+  email: (value) => EMAIL_PATTERN.test(value),
+  // Dates are stored as YYYY-MM or YYYY-MM-DD strings
+  date: (value) => DATE_PATTERN.test(value)
+};
+
+const joinPath = (base, key) => {
+  if (typeof key === 'number') {
+    return `${base}[${key}]`;
+  }
+  return base ? `${base}.${key}` : key;
+};
+
+const typeOf = (value) => {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  if (typeof value === 'number' && Number.isInteger(value)) return 'integer';
+  return typeof value;
+};
+
+const matchesType = (expected, value) => {
+  const actual = typeOf(value);
+  if (expected === 'number') return actual === 'number' || actual === 'integer';
+  return actual === expected;
+};
+
+// Validate `value` against `schema`. Returns { value, errors } where value is
+// the sanitized copy and errors is a list of { path, message }.
+const validate = (schema, value, path = '', options = {}) => {
+  const errors = [];
+
+  const walk = (node, input, currentPath) => {
+    if (input === undefined || input === null) {
+      if (node.nullable && input === null) {
+        return null;
+      }
+      if (node.required) {
+        errors.push({ path: currentPath, message: 'This field is required' });
+      }
+      return undefined;
+    }
+
+    if (!matchesType(node.type, input)) {
+      errors.push({ path: currentPath, message: `Expected ${node.type}` });
+      return undefined;
+    }
+
+    switch (node.type) {
+      case 'string': {
+        const trimmed = node.trim === false ? input : input.trim();
+        if (node.required && trimmed.length === 0) {
+          errors.push({ path: currentPath, message: 'This field is required' });
+          return undefined;
+        }
+        if (trimmed.length === 0) {
+          return trimmed;
+        }
+        if (node.minLength !== undefined && trimmed.length < node.minLength) {
+          errors.push({ path: currentPath, message: `Must be at least ${node.minLength} characters` });
+        }
+        if (node.maxLength !== undefined && trimmed.length > node.maxLength) {
+          errors.push({ path: currentPath, message: `Must be at most ${node.maxLength} characters` });
+        }
+        if (node.enum && !node.enum.includes(trimmed)) {
+          errors.push({ path: currentPath, message: `Must be one of: ${node.enum.join(', ')}` });
+        }
+        if (node.format && !formats[node.format](trimmed)) {
+          errors.push({ path: currentPath, message: `Must be a valid ${node.format}` });
+        }
+        if (node.pattern && !node.pattern.test(trimmed)) {
+          errors.push({ path: currentPath, message: node.patternMessage || 'Invalid format' });
+        }
+        return trimmed;
+      }
+
+      case 'number':
+      case 'integer': {
+        if (node.min !== undefined && input < node.min) {
+          errors.push({ path: currentPath, message: `Must be at least ${node.min}` });
+        }
+        if (node.max !== undefined && input > node.max) {
+          errors.push({ path: currentPath, message: `Must be at most ${node.max}` });
+        }
+        return input;
+      }
+
+      case 'boolean':
+        return input;
+
+      case 'array': {
+        if (node.required && input.length === 0 && node.minItems !== 0) {
+          errors.push({ path: currentPath, message: 'At least one item is required' });
+        }
+        if (node.minItems !== undefined && input.length < node.minItems) {
+          errors.push({ path: currentPath, message: `Must contain at least ${node.minItems} items` });
+        }
+        if (node.maxItems !== undefined && input.length > node.maxItems) {
+          errors.push({ path: currentPath, message: `Must contain at most ${node.maxItems} items` });
+          return undefined;
+        }
+        return input
+          .map((item, index) => walk(node.items, item, joinPath(currentPath, index)))
+          .filter(item => item !== undefined);
+      }
+
+      case 'object': {
+        const result = {};
+        const partial = options.partial && currentPath === path;
+        Object.entries(node.properties || {}).forEach(([key, child]) => {
+          const childNode = partial ? { ...child, required: false } : child;
+          const childValue = walk(childNode, input[key], joinPath(currentPath, key));
+          if (childValue !== undefined) {
+            result[key] = childValue;
+          }
+        });
+        return result;
+      }
+
+      default:
+        return input;
+    }
+  };
+
+  const sanitized = walk(schema, value, path);
+  return { value: sanitized, errors };
+};
+
+const hasRequiredProperties = (schema, value) => {
+  if (schema.type !== 'object') return true;
+  return Object.entries(schema.properties || {})
+    .every(([key, child]) => !child.required || value[key] !== undefined);
+};
+
+// Cut `value` down to what `schema` accepts, for data from outside sources
+// (e.g. an imported résumé) rather than user input. Long strings and lists
+// are truncated; values of the wrong type or format are dropped, as are list
+// items missing a required field. Other required fields are not filled in,
+// so validate() the result afterwards.
+const fit = (schema, value) => {
+  if (value === undefined || value === null || !matchesType(schema.type, value)) {
+    return undefined;
+  }
+
+  switch (schema.type) {
+    case 'string': {
+      const trimmed = schema.trim === false ? value : value.trim();
+      const clipped = schema.maxLength !== undefined ? trimmed.slice(0, schema.maxLength).trim() : trimmed;
+      if (clipped.length === 0) return undefined;
+      if (schema.enum && !schema.enum.includes(clipped)) return undefined;
+      if (schema.format && !formats[schema.format](clipped)) return undefined;
+      if (schema.pattern && !schema.pattern.test(clipped)) return undefined;
+      return clipped;
+    }
+
+    case 'number':
+    case 'integer': {
+      if (schema.min !== undefined && value < schema.min) return undefined;
+      if (schema.max !== undefined && value > schema.max) return undefined;
+      return value;
+    }
+
+    case 'array': {
+      const items = value
+        .map(item => fit(schema.items, item))
+        .filter(item => item !== undefined && hasRequiredProperties(schema.items, item));
+      const clipped = schema.maxItems !== undefined ? items.slice(0, schema.maxItems) : items;
+      return clipped.length > 0 ? clipped : undefined;
+    }
+
+    case 'object': {
+      const result = {};
+      Object.entries(schema.properties || {}).forEach(([key, child]) => {
+        const childValue = fit(child, value[key]);
+        if (childValue !== undefined) {
+          result[key] = childValue;
+        }
+      });
+      return Object.keys(result).length > 0 ? result : undefined;
+    }
+
+    default:
+      return value;
+  }
+};
+
+module.exports = { validate, fit };
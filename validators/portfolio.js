@@ -0,0 +1,148 @@
+// validators/portfolio.js
+const { validate } = require('../utils/schema');
+
+const text = (maxLength, extra = {}) => ({ type: 'string', maxLength, ...extra });
+const url = (extra = {}) => ({ type: 'string', format: 'url', maxLength: 2048, ...extra });
+const date = () => ({ type: 'string', format: 'date' });
+const stringList = (maxItems, maxLength) => ({
+  type: 'array',
+  maxItems,
+  items: text(maxLength, { required: true })
+});
+
+const heroSectionSchema = {
+  type: 'object',
+  required: true,
+  properties: {
+    name: text(100, { required: true }),
+    title: text(120),
+    tagline: text(300),
+    profileImage: url(),
+    backgroundImage: url(),
+    ctaText: text(50),
+    ctaLink: url()
+  }
+};
+
+// Whether the section itself is required is up to the template
+// (config/templates.js); the hero is needed by every template and for slugs
+const aboutMeSchema = {
+  type: 'object',
+  properties: {
+    bio: text(5000, { required: true }),
+    image: url(),
+    location: text(120),
+    yearsOfExperience: { type: 'number', min: 0, max: 80 },
+    resumeUrl: url(),
+    highlights: stringList(10, 200)
+  }
+};
+
+const projectSchema = {
+  type: 'object',
+  properties: {
+    title: text(150, { required: true }),
+    description: text(3000),
+    image: url(),
+    technologies: stringList(30, 50),
+    liveUrl: url(),
+    githubUrl: url(),
+    featured: { type: 'boolean' },
+    startDate: date(),
+    endDate: date()
+  }
+};
+
+const experienceSchema = {
+  type: 'object',
+  properties: {
+    company: text(150, { required: true }),
+    position: text(150, { required: true }),
+    location: text(120),
+    startDate: date(),
+    endDate: date(),
+    current: { type: 'boolean' },
+    description: text(3000),
+    achievements: stringList(20, 300)
+  }
+};
+
+const educationSchema = {
+  type: 'object',
+  properties: {
+    institution: text(150, { required: true }),
+    degree: text(150),
+    field: text(150),
+    startDate: date(),
+    endDate: date(),
+    grade: text(50),
+    description: text(2000)
+  }
+};
+
+const testimonialSchema = {
+  type: 'object',
+  properties: {
+    name: text(100, { required: true }),
+    role: text(120),
+    company: text(120),
+    text: text(1500, { required: true }),
+    avatar: url()
+  }
+};
+
+const contactSchema = {
+  type: 'object',
+  properties: {
+    email: text(254, { format: 'email' }),
+    phone: text(30, { pattern: /^[+()\-.\s\d]+$/, patternMessage: 'Must be a valid phone number' }),
+    location: text(120),
+    website: url(),
+    linkedin: url(),
+    github: url(),
+    twitter: url()
+  }
+};
+
+// Everything a client is allowed to write. Server-owned fields such as
+// userId, slug, views, featured, status and the rating aggregates are not
+// declared here and are therefore stripped from incoming payloads.
+const portfolioSchema = {
+  type: 'object',
+  properties: {
+    templateId: text(50, { required: true }),
+    heroSection: heroSectionSchema,
+    aboutMe: aboutMeSchema,
+    skills: stringList(50, 50),
+    projects: { type: 'array', maxItems: 50, items: projectSchema },
+    experience: { type: 'array', maxItems: 30, items: experienceSchema },
+    education: { type: 'array', maxItems: 20, items: educationSchema },
+    testimonials: { type: 'array', maxItems: 20, items: testimonialSchema },
+    contact: contactSchema,
+    seoTitle: text(70),
+    seoDescription: text(160)
+  }
+};
+
+// Top-level content fields that make up a portfolio
+const PORTFOLIO_CONTENT_FIELDS = Object.keys(portfolioSchema.properties);
+
+// Validate a create (full) or update (partial) payload.
+// On update only the sections present in the payload are checked, but each
+// section is validated in full because sections are replaced as a whole.
+const validatePortfolio = (payload, { partial = false } = {}) => {
+  if (!payload || typeof payload !== 'object' || Array.isArray(payload)) {
+    return {
+      value: undefined,
+      errors: [{ path: '', message: 'Request body must be a JSON object' }]
+    };
+  }
+
+  return validate(portfolioSchema, payload, '', { partial });
+};
+
+module.exports = {
+  portfolioSchema,
+  PORTFOLIO_CONTENT_FIELDS,
+  validatePortfolio
+};
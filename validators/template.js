@@ -0,0 +1,79 @@
+// validators/template.js
+// Checks portfolio content against its template (config/templates.js):
+// required sections have content and list sections stay within the
+// template's limits. Sections the template doesn't show are reported, not
+// rejected, so switching templates never loses content.
+const { TEMPLATE_IDS, getTemplate } = require('../config/templates');
+
+// Sections a template decides on; templateId and the SEO fields apply to all
+const TEMPLATE_SECTIONS = [
+  'heroSection',
+  'aboutMe',
+  'skills',
+  'projects',
+  'experience',
+  'education',
+  'testimonials',
+  'contact'
+];
+
+const hasContent = (value) => {
+  if (Array.isArray(value)) return value.length > 0;
+  if (value && typeof value === 'object') return Object.keys(value).length > 0;
+  return value !== undefined && value !== null;
+};
+
+const isSupported = (template, section) => {
+  return template.sections.required.includes(section) || template.sections.optional.includes(section);
+};
+
+// Validate content against its template, checking only `sections` (all by
+// default). Returns { errors, unsupportedSections }, where errors use the
+// same { path, message } shape as validators/portfolio.js.
+const validateTemplateContent = (content, { sections = TEMPLATE_SECTIONS } = {}) => {
+  const template = getTemplate(content.templateId);
+  if (!template) {
+    return {
+      errors: [{ path: 'templateId', message: `Must be one of: ${TEMPLATE_IDS.join(', ')}` }],
+      unsupportedSections: []
+    };
+  }
+
+  const errors = [];
+
+  template.sections.required
+    .filter(section => sections.includes(section) && !hasContent(content[section]))
+    .forEach(section => errors.push({ path: section, message: `Required by the ${template.name} template` }));
+
+  Object.entries(template.limits)
+    .filter(([section, max]) => sections.includes(section) && Array.isArray(content[section]) && content[section].length > max)
+    .forEach(([section, max]) => errors.push({
+      path: section,
+      message: `Must have at most ${max} items with the ${template.name} template`
+    }));
+
+  return {
+    errors,
+    unsupportedSections: TEMPLATE_SECTIONS.filter(section => !isSupported(template, section) && hasContent(content[section]))
+  };
+};
+
+// Validate an update that turns `previous` content into `next`. The changed
+// sections are checked, or all of them when the template changes. Portfolios
+// on a templateId from before the registry are left alone until they switch.
+const validateTemplateUpdate = (previous, next, changedFields) => {
+  const switching = next.templateId !== previous.templateId;
+
+  if (!switching && !getTemplate(next.templateId)) {
+    return { errors: [], unsupportedSections: [] };
+  }
+
+  return validateTemplateContent(next, { sections: switching ? TEMPLATE_SECTIONS : changedFields });
+};
+
+module.exports = {
+  TEMPLATE_SECTIONS,
+  isSupported,
+  validateTemplateContent,
+  validateTemplateUpdate
+};